@@ -1,48 +1,42 @@
 // api/upload.js
 
-import { S3Client, PutObjectCommand } from "@aws-sdk/client-s3";
-import formidable from "formidable";
-import fs from "fs";
-import crypto from "crypto";
+import {
+  ALLOWED_MIME_TYPES,
+  MAX_FILE_SIZE,
+  buildPublicUrls,
+  uploadToR2,
+  validateFileExtension,
+} from "./utils/uploadHelpers.js";
+import { getPublicUrlConfig } from "./utils/publicUrls.js";
+import { expiryMetadata, parseExpiresIn } from "./utils/expiry.js";
+import {
+  buildObjectKey,
+  getKeyTemplate,
+  templateNeedsContent,
+  withExpiry,
+} from "./utils/objectKeys.js";
+import { createDeletionToken } from "./utils/auth.js";
+import {
+  parseMultipartUpload,
+  inspectUpload,
+  sanitizeUpload,
+  bufferUpload,
+} from "./utils/streamUpload.js";
+import { SanitizeError } from "./utils/sanitize.js";
+import { imageInfoMetadata, storeImageInfo } from "./utils/imageInfo.js";
+import { getRateLimitStore } from "./utils/rateLimitStore.js";
+import { checkUploadUsage, getUsageFailureMode } from "./utils/usage.js";
+import {
+  VARIANT_MAX_SOURCE_SIZE,
+  generateVariants,
+  supportsVariants,
+} from "./utils/variants.js";
 
 /**
- * Initialize S3 Client for S3-compatible storage
+ * Rate limiting for anonymous web uploads, per client IP
  */
-const s3 = new S3Client({
-  region: process.env.S3_REGION || "us-east-1",
-  endpoint: process.env.S3_ENDPOINT,
-  forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
-  credentials: {
-    accessKeyId: process.env.S3_ACCESS_KEY_ID,
-    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
-  },
-});
-
-/**
- * In-memory storage for rate limiting
- */
-const rateLimitStore = new Map();
-
-/**
- * File type security configuration
- */
-const ALLOWED_MIME_TYPES = [
-  "image/jpeg",
-  "image/jpg",
-  "image/png",
-  "image/gif",
-  "image/webp",
-];
-
-/**
- * Magic numbers for file type validation
- */
-const MAGIC_NUMBERS = {
-  "image/jpeg": [0xff, 0xd8, 0xff],
-  "image/png": [0x89, 0x50, 0x4e, 0x47],
-  "image/gif": [0x47, 0x49, 0x46],
-  "image/webp": [0x52, 0x49, 0x46, 0x46],
-};
+const RATE_LIMIT_WINDOW_MS = 15 * 60 * 1000; // 15 minutes
+const RATE_LIMIT_MAX_ATTEMPTS = 20;
 
 function getClientIP(req) {
   return (
@@ -73,83 +67,149 @@ function isValidOrigin(origin) {
   return allowedOrigins.includes(normalize(origin));
 }
 
-function rateLimitCheck(ip) {
-  const now = Date.now();
-  const windowMs = 15 * 60 * 1000; // 15 minutes
-  const maxAttempts = 20;
-
-  const attempts = rateLimitStore.get(ip) || [];
-  const recentAttempts = attempts.filter((time) => now - time < windowMs);
-
-  if (recentAttempts.length >= maxAttempts) {
-    return false;
-  }
-
-  recentAttempts.push(now);
-  rateLimitStore.set(ip, recentAttempts);
-
-  // Cleanup old entries occasionally
-  if (Math.random() < 0.01) {
-    for (const [ip, attempts] of rateLimitStore.entries()) {
-      const recentAttempts = attempts.filter((time) => now - time < windowMs);
-      if (recentAttempts.length === 0) {
-        rateLimitStore.delete(ip);
-      } else {
-        rateLimitStore.set(ip, recentAttempts);
-      }
-    }
-  }
-
-  return true;
+async function rateLimitCheck(ip) {
+  return getRateLimitStore().hit(`web:${ip}`, {
+    limit: RATE_LIMIT_MAX_ATTEMPTS,
+    windowMs: RATE_LIMIT_WINDOW_MS,
+  });
 }
 
-function validateFileType(buffer, mimetype) {
-  for (const [type, signature] of Object.entries(MAGIC_NUMBERS)) {
-    if (
-      type === mimetype ||
-      (type === "image/jpeg" && mimetype === "image/jpg")
-    ) {
-      const matches = signature.every((byte, index) => buffer[index] === byte);
-      if (matches) return true;
-    }
+/**
+ * Validates a single file from the form and streams it to R2
+ * Validation failures are returned as a result; storage errors throw
+ */
+async function processUpload(
+  { stream, filename: originalFilename, mimetype, fields },
+  clientIP,
+) {
+  // Basic MIME type check
+  if (!ALLOWED_MIME_TYPES.includes(mimetype)) {
+    stream.resume();
+    return { success: false, status: 400, error: "Invalid file type" };
   }
-  return false;
-}
 
-async function validateFile(file) {
-  const buffer = fs.readFileSync(file.filepath);
-  const firstBytes = buffer.slice(0, 12);
-
-  if (buffer.length === 0) {
-    throw new Error("Empty file not allowed");
+  // File extension validation
+  let fileExtension;
+  try {
+    fileExtension = validateFileExtension({ originalFilename, mimetype });
+  } catch (extensionError) {
+    stream.resume();
+    return {
+      success: false,
+      status: 400,
+      error: extensionError.message,
+    };
   }
 
-  if (!validateFileType(firstBytes, file.mimetype)) {
-    throw new Error(
-      "File type validation failed - file content doesn't match extension",
-    );
+  let expiresAt;
+  try {
+    expiresAt = parseExpiresIn(fields.expiresIn);
+  } catch (expiryError) {
+    stream.resume();
+    return { success: false, status: 400, error: expiryError.message };
   }
 
-  if (buffer.length > 10 * 1024 * 1024) {
-    throw new Error("File too large");
+  // Templates with {hash} need every byte before the key can be built
+  const template = getKeyTemplate();
+  const buffered = templateNeedsContent(template);
+  const withVariants = fields.variants === "true" && supportsVariants(mimetype);
+
+  // Content is validated while it streams to R2, and photos lose their
+  // EXIF/GPS data on the way. Variants are made from a copy of what was
+  // stored.
+  const inspector = inspectUpload(stream, {
+    mimetype,
+    maxSize: MAX_FILE_SIZE,
+    stripMetadata: true,
+    retain: withVariants && !buffered ? VARIANT_MAX_SOURCE_SIZE : 0,
+  });
+
+  // Anonymous uploaders get a token so they can take a leak down themselves
+  const deletion = createDeletionToken();
+
+  let filename;
+  let publicUrl;
+  let sanitized;
+  let image = null;
+  try {
+    sanitized = await sanitizeUpload({
+      originalFilename,
+      mimetype,
+      stream: inspector,
+    });
+    if (buffered) {
+      sanitized.file = await bufferUpload(sanitized.file);
+      image = inspector.imageInfo;
+    } else {
+      // Known from the header in most cases, so it goes in with the upload
+      image = await inspector.headerInfo;
+    }
+    filename = withExpiry(
+      buildObjectKey({
+        template,
+        extension: fileExtension,
+        originalFilename,
+        source: "web",
+        buffer: sanitized.file.buffer,
+      }),
+      expiresAt,
+    );
+    publicUrl = await uploadToR2(sanitized.file, filename, clientIP, {
+      metadata: {
+        "delete-token-hash": deletion.hash,
+        ...expiryMetadata(expiresAt),
+        ...(image && imageInfoMetadata(image)),
+      },
+    });
+  } catch (uploadError) {
+    const validationError =
+      inspector.validationError ||
+      (uploadError instanceof SanitizeError && uploadError);
+    if (!validationError) throw uploadError;
+    console.warn(
+      `File validation failed for IP ${clientIP}: ${validationError.message}`,
+    );
+    return {
+      success: false,
+      status: 400,
+      error: validationError.message,
+    };
   }
 
-  // Scan for suspicious content
-  const suspicious = [
-    "<script",
-    "<?php",
-    "<%",
-    "javascript:",
-    "data:text/html",
-  ];
-  const fileContent = buffer.toString("utf8", 0, Math.min(buffer.length, 1024));
-  for (const pattern of suspicious) {
-    if (fileContent.toLowerCase().includes(pattern)) {
-      throw new Error("Suspicious file content detected");
-    }
+  // Frames of a large GIF or animated WebP are only all counted once it's
+  // stored, so their details are added afterwards
+  if (!buffered && !image) {
+    image = inspector.imageInfo;
+    if (image) await storeImageInfo(filename, image);
   }
 
-  return true;
+  const variantSource = buffered
+    ? sanitized.file.size <= VARIANT_MAX_SOURCE_SIZE && sanitized.file.buffer
+    : inspector.retained;
+  const variantResult =
+    withVariants &&
+    (await generateVariants(
+      variantSource || null,
+      { originalFilename },
+      filename,
+      clientIP,
+      { expiresAt },
+    ));
+
+  return {
+    success: true,
+    url: publicUrl,
+    urls: buildPublicUrls(filename),
+    filename,
+    deleteToken: deletion.token,
+    expiresAt: expiresAt?.toISOString(),
+    size: sanitized.file.size ?? inspector.bytesWritten,
+    mimetype,
+    removed: sanitized.removed,
+    strippedMetadata: inspector.stripped,
+    image,
+    ...variantResult,
+  };
 }
 
 export const config = {
@@ -190,6 +250,11 @@ export default async function handler(req, res) {
       });
     }
 
+    // A bad public URL setting would otherwise only fail once the file is
+    // already in the bucket
+    getPublicUrlConfig();
+    getUsageFailureMode();
+
     // Only allow POST requests
     if (req.method !== "POST") {
       return res.status(405).json({ error: "Method Not Allowed" });
@@ -202,12 +267,15 @@ export default async function handler(req, res) {
     }
 
     // Rate limiting
-    if (!rateLimitCheck(clientIP)) {
+    const rateLimit = await rateLimitCheck(clientIP);
+    if (!rateLimit.allowed) {
       console.warn(`Rate limit exceeded for IP: ${clientIP}`);
+      const retryAfter = Math.ceil((rateLimit.resetAt - Date.now()) / 1000);
+      res.setHeader("Retry-After", retryAfter);
       return res.status(429).json({
         error: "Rate limit exceeded",
         message: "Too many upload attempts. Please wait before trying again.",
-        retryAfter: 900,
+        retryAfter,
       });
     }
 
@@ -217,88 +285,40 @@ export default async function handler(req, res) {
       return res.status(413).json({ error: "Request too large" });
     }
 
-    // Parse form data
-    const form = formidable({
-      maxFileSize: 10 * 1024 * 1024,
-      maxFields: 5,
-      maxFieldsSize: 2 * 1024,
-      keepExtensions: true,
-      allowEmptyFiles: false,
-    });
-
-    const [fields, files] = await form.parse(req);
-
-    const file = files.file?.[0];
-    if (!file) {
-      return res.status(400).json({ error: "No file uploaded" });
+    // Free plan usage - refused before anything is written
+    const usageCheck = await checkUploadUsage({ incomingBytes: contentLength });
+    if (!usageCheck.allowed) {
+      console.warn(`Upload blocked by usage limits for IP: ${clientIP}`);
+      return res.status(429).json({
+        error: "Usage limit reached",
+        message: usageCheck.message,
+        usage: usageCheck.usage,
+      });
     }
 
-    // Basic MIME type check
-    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
-      fs.unlinkSync(file.filepath);
-      return res.status(400).json({ error: "Invalid file type" });
-    }
+    // Stream the file straight to R2 - nothing touches the disk
+    const { results } = await parseMultipartUpload(req, {
+      limits: {
+        files: 1,
+        fields: 5,
+        fieldSize: 2 * 1024,
+      },
+      onFile: (part) => processUpload(part, clientIP),
+    });
 
-    // File validation
-    try {
-      await validateFile(file);
-    } catch (validationError) {
-      fs.unlinkSync(file.filepath);
-      console.warn(
-        `File validation failed for IP ${clientIP}: ${validationError.message}`,
-      );
-      return res.status(400).json({ error: validationError.message });
+    const [result] = results;
+    if (!result) {
+      return res.status(400).json({ error: "No file uploaded" });
     }
 
-    // USAGE LIMITS BYPASSED - NO CHECKS PERFORMED
-    console.log("⚠️  USAGE LIMITS BYPASSED - Upload proceeding without checks");
-
-    // File extension validation
-    const fileExtension = file.originalFilename.split(".").pop().toLowerCase();
-    const validExtensions = {
-      "image/jpeg": ["jpg", "jpeg"],
-      "image/png": ["png"],
-      "image/gif": ["gif"],
-      "image/webp": ["webp"],
-    };
-
-    if (!validExtensions[file.mimetype]?.includes(fileExtension)) {
-      fs.unlinkSync(file.filepath);
-      return res
-        .status(400)
-        .json({ error: "File extension doesn't match content type" });
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
     }
 
-    // Generate filename
-    const filename = crypto.randomUUID() + "." + fileExtension;
-
-    // Read file content
-    const fileBuffer = fs.readFileSync(file.filepath);
-
-    // Upload to R2
-    await s3.send(
-      new PutObjectCommand({
-        Bucket: process.env.S3_BUCKET,
-        Key: filename,
-        Body: fileBuffer,
-        ContentType: file.mimetype,
-        Metadata: {
-          "upload-ip": clientIP,
-          "upload-time": new Date().toISOString(),
-          "original-name": file.originalFilename.substring(0, 100),
-          "file-size": file.size.toString(),
-        },
-      }),
-    );
-
-    // Clean up temp file
-    fs.unlinkSync(file.filepath);
-
-    // Generate public URL
-    const publicUrl = `${process.env.S3_ENDPOINT}/${process.env.S3_BUCKET}/${filename}`;
+    const { filename, url: publicUrl } = result;
 
     console.log(
-      `Upload successful: ${filename} (${file.size} bytes) from IP: ${clientIP}`,
+      `Upload successful: ${filename} (${result.size} bytes) from IP: ${clientIP}`,
     );
 
     const isProduction = process.env.NODE_ENV === "production";
@@ -306,31 +326,34 @@ export default async function handler(req, res) {
     // Return success response
     return res.status(200).json({
       url: publicUrl,
+      urls: result.urls,
+      filename,
+      deleteToken: result.deleteToken,
+      ...(result.expiresAt && { expiresAt: result.expiresAt }),
       message: "Upload successful",
-      usage: "Usage limits bypassed - monitoring disabled",
+      ...(result.removed && { sanitized: { removed: result.removed } }),
+      ...(result.strippedMetadata && {
+        strippedMetadata: result.strippedMetadata,
+      }),
+      ...(result.image && { image: result.image }),
+      ...(result.variants && { variants: result.variants }),
+      ...(result.variantsError && { variantsError: result.variantsError }),
+      usage: usageCheck.usage,
       ...(!isProduction && {
         debug: {
           filename,
-          fileSize: file.size,
-          mimetype: file.mimetype,
+          fileSize: result.size,
+          mimetype: result.mimetype,
           processingTime: Date.now() - startTime,
-          usageLimitsEnabled: false,
-          note: "Usage monitoring disabled",
+          usageLimitsEnabled: true,
         },
       }),
     });
   } catch (error) {
     console.error(`Upload error from IP ${clientIP}:`, error);
 
-    // Clean up temp files
-    try {
-      if (req.files?.file?.[0]?.filepath) {
-        fs.unlinkSync(req.files.file[0].filepath);
-      }
-    } catch (cleanupError) {
-      console.error("Cleanup error:", cleanupError);
-    }
-
+    // Nothing to clean up here - the file streams straight to R2 and an
+    // upload still in flight is aborted by the parser
     return res.status(500).json({
       error: "Upload failed",
       message:
@@ -0,0 +1,465 @@
+// utils/auth.js
+import crypto from "crypto";
+import {
+  getInternalPrefix,
+  getPrivatePrefix,
+  isInternalKey,
+  normalizeFolder,
+  parseExpiringKey,
+} from "./objectKeys.js";
+import { getRateLimitStore } from "./rateLimitStore.js";
+
+/**
+ * Operations an API key can be allowed to perform
+ */
+export const API_OPERATIONS = [
+  "ping",
+  "upload",
+  "delete",
+  "list",
+  "read",
+  "admin",
+];
+
+const AUTH_ERROR_TITLES = {
+  401: "Unauthorized",
+  403: "Forbidden",
+  503: "Service Unavailable",
+};
+
+/**
+ * AuthError Class
+ * Authentication failures carry the HTTP status to answer with:
+ * 401 when the caller isn't who they claim, 403 when the key can't do that,
+ * 503 when the caller can't be checked right now
+ */
+export class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = "AuthError";
+    this.status = status;
+    this.title = AUTH_ERROR_TITLES[status] || "Unauthorized";
+  }
+}
+
+/**
+ * Signed requests must be made within this many seconds of the server clock
+ */
+export const SIGNATURE_MAX_SKEW = parseInt(
+  process.env.SIGNATURE_MAX_SKEW_SECONDS || "300",
+);
+
+/**
+ * SHA-256 of an empty body, for signed requests that don't send one
+ */
+export const EMPTY_BODY_SHA256 = crypto.createHash("sha256").digest("hex");
+
+let cachedRegistry = { source: null, keys: [] };
+
+/**
+ * Loads the API key registry
+ *
+ * API_KEYS holds a JSON array of keys:
+ *   [{ "name": "ci-bot", "key": "...", "operations": ["ping", "upload"],
+ *      "prefix": "ci/", "folders": ["builds", "logs"],
+ *      "expiresAt": "2026-12-31T00:00:00Z",
+ *      "rateLimit": 60, "dailyQuota": 1073741824 }]
+ *
+ * A bare API_SECRET_TOKEN is still honored as a key named "default" that
+ * can do everything, so existing integrations keep working.
+ * @returns {Object[]} Registered keys with their secrets hashed
+ */
+export function loadApiKeys() {
+  const source = `${process.env.API_KEYS || ""}\n${process.env.API_SECRET_TOKEN || ""}`;
+  if (cachedRegistry.source === source) return cachedRegistry.keys;
+
+  let entries = [];
+  if (process.env.API_KEYS) {
+    try {
+      entries = JSON.parse(process.env.API_KEYS);
+    } catch {
+      throw new Error("API_KEYS is not valid JSON");
+    }
+    if (!Array.isArray(entries)) {
+      throw new Error("API_KEYS must be a JSON array");
+    }
+  }
+
+  if (process.env.API_SECRET_TOKEN) {
+    entries.push({
+      name: "default",
+      key: process.env.API_SECRET_TOKEN,
+      operations: API_OPERATIONS,
+    });
+  }
+
+  const keys = entries.map((entry, index) => {
+    if (!entry?.name || typeof entry.key !== "string" || !entry.key) {
+      throw new Error(`API_KEYS entry ${index} needs a name and a key`);
+    }
+
+    const operations = entry.operations || API_OPERATIONS;
+    const unknown = operations.filter((op) => !API_OPERATIONS.includes(op));
+    if (unknown.length > 0) {
+      throw new Error(
+        `API key "${entry.name}" has unknown operations: ${unknown.join(", ")}`,
+      );
+    }
+
+    const expiresAt = entry.expiresAt ? new Date(entry.expiresAt) : null;
+    if (expiresAt && isNaN(expiresAt.getTime())) {
+      throw new Error(`API key "${entry.name}" has an invalid expiresAt`);
+    }
+
+    for (const limit of ["rateLimit", "dailyQuota"]) {
+      const value = entry[limit];
+      if (value !== undefined && !(Number.isInteger(value) && value >= 0)) {
+        throw new Error(
+          `API key "${entry.name}" needs a non-negative integer ${limit}`,
+        );
+      }
+    }
+
+    if (entry.folders !== undefined && !Array.isArray(entry.folders)) {
+      throw new Error(`API key "${entry.name}" needs an array of folders`);
+    }
+    let folders = null;
+    try {
+      folders = entry.folders?.map(normalizeFolder) ?? null;
+    } catch (folderError) {
+      throw new Error(`API key "${entry.name}": ${folderError.message}`);
+    }
+
+    return {
+      name: String(entry.name),
+      digest: hashSecret(entry.key),
+      secret: entry.key,
+      operations,
+      prefix: entry.prefix || "",
+      folders,
+      expiresAt,
+      rateLimit: entry.rateLimit ?? null,
+      dailyQuota: entry.dailyQuota ?? null,
+    };
+  });
+
+  cachedRegistry = { source, keys };
+  return keys;
+}
+
+function hashSecret(secret) {
+  return crypto.createHash("sha256").update(secret).digest();
+}
+
+/**
+ * Finds the registered key matching a token
+ * Every key is compared in constant time, and the loop never exits early,
+ * so response timing doesn't reveal how close a guess was
+ */
+function findApiKey(token) {
+  const digest = hashSecret(token);
+  let match = null;
+
+  for (const key of loadApiKeys()) {
+    if (crypto.timingSafeEqual(digest, key.digest) && !match) {
+      match = key;
+    }
+  }
+
+  return match;
+}
+
+/**
+ * Builds the string a signed request's HMAC is computed over
+ * @returns {string} METHOD, path with query, timestamp, nonce and body
+ *   SHA-256 (hex), one per line
+ */
+export function buildStringToSign({
+  method,
+  path,
+  timestamp,
+  nonce,
+  contentSha256,
+}) {
+  return [method.toUpperCase(), path, timestamp, nonce, contentSha256].join(
+    "\n",
+  );
+}
+
+/**
+ * Remembers a nonce until it can no longer pass the skew check
+ * Nonces live in the rate limit store, so with RATE_LIMIT_STORE=redis a
+ * request can't be replayed against another instance either
+ * @returns {boolean} False if the nonce was already used
+ * @throws {AuthError} 503 if the store can't be reached - an unchecked
+ *   nonce could be a replay
+ */
+async function rememberNonce(id) {
+  try {
+    return await getRateLimitStore().claim(
+      `nonce:${id}`,
+      2 * SIGNATURE_MAX_SKEW * 1000,
+    );
+  } catch (storeError) {
+    console.error(`Nonce store unavailable: ${storeError.message}`);
+    throw new AuthError(
+      "Signed requests can't be checked for replays right now",
+      503,
+    );
+  }
+}
+
+/**
+ * Verifies an HMAC-signed request
+ * The client sends X-Key-Id, X-Timestamp (unix seconds), X-Nonce,
+ * X-Content-SHA256 and X-Signature: hex HMAC-SHA256 of buildStringToSign()
+ * keyed with the API key itself. The body hash is only vouched for here -
+ * the caller has to check the body it actually received against it.
+ */
+async function verifySignedRequest(req) {
+  const keyId = req.headers["x-key-id"];
+  const timestamp = req.headers["x-timestamp"];
+  const nonce = req.headers["x-nonce"];
+  const contentSha256 = req.headers["x-content-sha256"]?.toLowerCase();
+  const signature = req.headers["x-signature"];
+
+  if (!keyId || !timestamp || !nonce || !contentSha256) {
+    throw new AuthError(
+      "Signed requests need X-Key-Id, X-Timestamp, X-Nonce and X-Content-SHA256",
+    );
+  }
+
+  if (!/^[0-9a-f]{64}$/.test(contentSha256)) {
+    throw new AuthError("X-Content-SHA256 must be a hex SHA-256 digest");
+  }
+
+  if (!/^[A-Za-z0-9_-]{16,128}$/.test(nonce)) {
+    throw new AuthError("X-Nonce must be 16-128 URL-safe characters");
+  }
+
+  const skew = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (!/^\d+$/.test(timestamp) || skew > SIGNATURE_MAX_SKEW) {
+    throw new AuthError(
+      `Request timestamp is outside the ${SIGNATURE_MAX_SKEW}s window`,
+    );
+  }
+
+  // GET has no body, so nothing else could back up a different hash
+  if (req.method === "GET" && contentSha256 !== EMPTY_BODY_SHA256) {
+    throw new AuthError("X-Content-SHA256 must be the empty-body hash on GET");
+  }
+
+  const key = loadApiKeys().find((entry) => entry.name === keyId);
+  const expected = crypto
+    .createHmac("sha256", key ? key.secret : "")
+    .update(
+      buildStringToSign({
+        method: req.method,
+        path: req.url,
+        timestamp,
+        nonce,
+        contentSha256,
+      }),
+    )
+    .digest();
+  const actual = Buffer.from(signature, "hex");
+
+  if (
+    !key ||
+    actual.length !== expected.length ||
+    !crypto.timingSafeEqual(actual, expected)
+  ) {
+    throw new AuthError("Invalid request signature");
+  }
+
+  // Only a correctly signed request may burn a nonce
+  if (!(await rememberNonce(`${key.name}:${nonce}`))) {
+    throw new AuthError("Request nonce has already been used");
+  }
+
+  return { key, contentSha256 };
+}
+
+/**
+ * Authenticates an API request against the key registry
+ * Supports Authorization: Bearer <token>, X-API-Key: <token> and, where the
+ * endpoint can check the body hash, HMAC-signed requests (X-Signature)
+ * @param {Object} req - Incoming request
+ * @param {string} operation - One of API_OPERATIONS
+ * @param {Object} options - { allowSigned } to accept signed requests
+ * @returns {Object} The matched key { name, operations, prefix, folders,
+ *   expiresAt, rateLimit, dailyQuota, contentSha256 } - contentSha256 is set
+ *   for signed requests only
+ * @throws {AuthError} If the token or signature is missing, unknown,
+ *   expired or not allowed to perform the operation
+ */
+export async function authenticateRequest(
+  req,
+  operation,
+  { allowSigned = false } = {},
+) {
+  let key;
+  let contentSha256 = null;
+
+  if (req.headers["x-signature"]) {
+    if (!allowSigned) {
+      throw new AuthError("Signed requests are not supported on this endpoint");
+    }
+    ({ key, contentSha256 } = await verifySignedRequest(req));
+  } else {
+    const authHeader = req.headers.authorization;
+    const apiKey = req.headers["x-api-key"];
+
+    // Support both Authorization: Bearer <token> and X-API-Key: <token>
+    const token = authHeader?.replace("Bearer ", "") || apiKey;
+
+    if (!token) {
+      throw new AuthError("Missing authentication token");
+    }
+
+    key = findApiKey(token);
+    if (!key) {
+      throw new AuthError("Invalid authentication token");
+    }
+  }
+
+  if (key.expiresAt && key.expiresAt.getTime() <= Date.now()) {
+    throw new AuthError(`API key "${key.name}" has expired`);
+  }
+
+  if (!key.operations.includes(operation)) {
+    throw new AuthError(
+      `API key "${key.name}" is not allowed to ${operation}`,
+      403,
+    );
+  }
+
+  return {
+    name: key.name,
+    operations: key.operations,
+    prefix: key.prefix,
+    folders: key.folders,
+    expiresAt: key.expiresAt,
+    rateLimit: key.rateLimit,
+    dailyQuota: key.dailyQuota,
+    contentSha256,
+  };
+}
+
+/**
+ * Checks the body a signed request actually delivered against the hash it
+ * signed. Bearer-authenticated requests have nothing to check.
+ * @throws {AuthError} If the body was altered in transit
+ */
+export function assertSignedBody(apiKey, bodySha256) {
+  if (apiKey.contentSha256 && apiKey.contentSha256 !== bodySha256) {
+    throw new AuthError("Request body does not match X-Content-SHA256");
+  }
+}
+
+/**
+ * Whether an object key falls under an API key's allowed prefix - either
+ * directly or, for private uploads, after the private prefix, and for
+ * expiring ones after their hour folder. The app's internal objects are
+ * nobody's.
+ */
+export function isWithinKeyPrefix(apiKey, storedKey) {
+  if (isInternalKey(storedKey)) return false;
+
+  const objectKey = parseExpiringKey(storedKey)?.key ?? storedKey;
+  const privatePrefix = getPrivatePrefix();
+  const unprefixed = objectKey.startsWith(privatePrefix)
+    ? objectKey.slice(privatePrefix.length)
+    : objectKey;
+
+  return (
+    objectKey.startsWith(apiKey.prefix) || unprefixed.startsWith(apiKey.prefix)
+  );
+}
+
+/**
+ * Checks that an object key falls under an API key's allowed prefix
+ * @throws {AuthError} If the object is outside the prefix
+ */
+export function assertKeyPrefix(apiKey, objectKey) {
+  if (isInternalKey(objectKey)) {
+    throw new AuthError(
+      `"${getInternalPrefix()}" is reserved for the app`,
+      403,
+    );
+  }
+  if (!isWithinKeyPrefix(apiKey, objectKey)) {
+    throw new AuthError(
+      `API key "${apiKey.name}" is limited to keys under "${apiKey.prefix}"`,
+      403,
+    );
+  }
+}
+
+/**
+ * Checks that an upload folder is one an API key may write to - keys
+ * without a folders list can use any folder under their prefix
+ * @param {string} folder - Already normalized
+ * @throws {AuthError} If the folder isn't one of the key's folders or
+ *   inside one
+ */
+export function assertFolderAllowed(apiKey, folder) {
+  if (!apiKey.folders) return;
+
+  const allowed = apiKey.folders.some(
+    (entry) => folder === entry || folder.startsWith(`${entry}/`),
+  );
+  if (!allowed) {
+    throw new AuthError(
+      `API key "${apiKey.name}" can only upload into ${apiKey.folders
+        .map((entry) => `"${entry || "/"}"`)
+        .join(", ")}`,
+      403,
+    );
+  }
+}
+
+/**
+ * Checks for the Authorization: Bearer <CRON_SECRET> header Vercel sends
+ * with cron invocations
+ * @returns {boolean} False if CRON_SECRET isn't set or doesn't match
+ */
+export function isCronRequest(req) {
+  const secret = process.env.CRON_SECRET;
+  const token = req.headers.authorization?.replace("Bearer ", "");
+  if (!secret || !token) return false;
+  return crypto.timingSafeEqual(hashSecret(token), hashSecret(secret));
+}
+
+/**
+ * Creates a per-upload deletion token
+ * Only the SHA-256 hash is stored with the object; the token itself is
+ * returned to the uploader once and never kept server-side
+ * @returns {Object} { token, hash }
+ */
+export function createDeletionToken() {
+  const token = crypto.randomBytes(24).toString("base64url");
+  return { token, hash: hashDeletionToken(token) };
+}
+
+function hashDeletionToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Checks a deletion token against the hash stored in object metadata
+ * Compared in constant time so the hash can't be probed byte by byte
+ */
+export function verifyDeletionToken(token, storedHash) {
+  if (typeof token !== "string" || typeof storedHash !== "string") {
+    return false;
+  }
+
+  const expected = Buffer.from(storedHash, "hex");
+  const actual = Buffer.from(hashDeletionToken(token), "hex");
+
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+}
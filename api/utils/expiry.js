@@ -0,0 +1,50 @@
+// utils/expiry.js
+
+/**
+ * Expiring uploads
+ * An upload sent with expiresIn (seconds) gets an "expires-at" timestamp in
+ * its metadata and is stored in the hour folder of its expiry (see
+ * withExpiry in objectKeys.js). /api/v1/sweep deletes whole hour folders once
+ * they're in the past. Nothing else enforces it - until the sweep runs, an
+ * expired object is still served.
+ */
+export const UPLOAD_MAX_EXPIRES_IN =
+  parseInt(process.env.UPLOAD_MAX_EXPIRES_IN || "0") || 30 * 24 * 60 * 60;
+
+/**
+ * Reads the expiresIn field of an upload
+ * @param {string} value - Seconds, as sent in the form
+ * @returns {Date|null} When the upload expires, or null if it doesn't
+ * @throws {Error} If the value isn't a whole number of seconds within
+ *   UPLOAD_MAX_EXPIRES_IN
+ */
+export function parseExpiresIn(value) {
+  if (value === undefined || value === "") return null;
+
+  const seconds = Number(value);
+  if (!Number.isInteger(seconds) || seconds <= 0) {
+    throw new Error("expiresIn must be a positive number of seconds");
+  }
+  if (seconds > UPLOAD_MAX_EXPIRES_IN) {
+    throw new Error(
+      `expiresIn can be at most ${UPLOAD_MAX_EXPIRES_IN} seconds`,
+    );
+  }
+
+  return new Date(Date.now() + seconds * 1000);
+}
+
+/**
+ * Object metadata entry for an expiry, empty when there is none
+ */
+export function expiryMetadata(expiresAt) {
+  return expiresAt ? { "expires-at": expiresAt.toISOString() } : {};
+}
+
+/**
+ * Whether an object's metadata says it has expired
+ */
+export function isExpired(metadata = {}, now = Date.now()) {
+  const expiresAt = Date.parse(metadata["expires-at"]);
+  return Number.isFinite(expiresAt) && expiresAt <= now;
+}
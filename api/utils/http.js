@@ -0,0 +1,28 @@
+// utils/http.js
+
+/**
+ * Sets the JSON, CORS and security headers shared by the v1 API routes
+ * @param {Object} res - Response object
+ * @param {string[]} methods - Methods the route accepts, OPTIONS is implied
+ */
+export function setApiHeaders(res, methods) {
+  res.setHeader("Content-Type", "application/json");
+
+  // Set CORS headers for API access
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader(
+    "Access-Control-Allow-Methods",
+    [...methods, "OPTIONS"].join(", "),
+  );
+  res.setHeader(
+    "Access-Control-Allow-Headers",
+    "Content-Type, Authorization, X-API-Key, X-Delete-Token, " +
+      "X-Key-Id, X-Timestamp, X-Nonce, X-Content-SHA256, X-Signature",
+  );
+
+  // Set security headers
+  res.setHeader("X-Content-Type-Options", "nosniff");
+  res.setHeader("X-Frame-Options", "DENY");
+  res.setHeader("X-XSS-Protection", "1; mode=block");
+  res.setHeader("Referrer-Policy", "strict-origin-when-cross-origin");
+}
@@ -0,0 +1,317 @@
+// utils/imageInfo.js
+import { canonicalMimeType } from "../../shared/fileTypes.js";
+import { updateObjectMetadata } from "./uploadHelpers.js";
+import { readExif } from "./stripMetadata.js";
+
+/**
+ * Image header parsing for JPEG, PNG, GIF and WebP
+ * Reads width, height and frame count straight from the container without
+ * decoding anything, so it can follow an upload as it streams past.
+ *
+ * Each format is a generator that yields what it needs next - a number of
+ * bytes to read or { skip } bytes to pass over - and fills in an info
+ * object as it goes. Whatever it found is kept if the file ends early.
+ *
+ * Width and height are reported the way the image is displayed: an EXIF
+ * orientation that rotates it by 90 degrees swaps them.
+ */
+
+const EXIF_HEADER = "Exif\0\0";
+
+function exifOrientation(payload) {
+  const tiff =
+    payload.toString("latin1", 0, 6) === EXIF_HEADER
+      ? payload.subarray(6)
+      : payload;
+  return readExif(tiff).orientation;
+}
+
+/**
+ * JPEG: walks the segments up to the start-of-frame header, reading the
+ * EXIF orientation on the way
+ */
+function* readJpeg(info) {
+  const soi = yield 2;
+  if (soi[0] !== 0xff || soi[1] !== 0xd8) return;
+
+  for (;;) {
+    const [prefix, first] = yield 2;
+    if (prefix !== 0xff) return;
+
+    let marker = first;
+    // Fill bytes before a marker
+    while (marker === 0xff) marker = (yield 1)[0];
+
+    // Standalone markers have no length
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) continue;
+    if (marker === 0xd9 || marker === 0xda) return;
+
+    const length = (yield 2).readUInt16BE(0) - 2;
+
+    if (marker === 0xe1 && length > 6) {
+      const payload = yield length;
+      if (payload.toString("latin1", 0, 6) === EXIF_HEADER) {
+        info.orientation = exifOrientation(payload);
+      }
+      continue;
+    }
+
+    // SOF0-SOF15, minus DHT (C4), JPG (C8) and DAC (CC)
+    if (
+      marker >= 0xc0 &&
+      marker <= 0xcf &&
+      marker !== 0xc4 &&
+      marker !== 0xc8 &&
+      marker !== 0xcc
+    ) {
+      const frame = yield 5;
+      info.height = frame.readUInt16BE(1);
+      info.width = frame.readUInt16BE(3);
+      info.frames = 1;
+      return;
+    }
+
+    yield { skip: length };
+  }
+}
+
+/**
+ * PNG: IHDR for the size, then acTL for APNG frame counts and eXIf for the
+ * orientation - both have to come before the image data
+ */
+function* readPng(info) {
+  yield { skip: 8 }; // signature, already checked on upload
+
+  const ihdr = yield 16;
+  if (ihdr.toString("latin1", 4, 8) !== "IHDR") return;
+  info.width = ihdr.readUInt32BE(8);
+  info.height = ihdr.readUInt32BE(12);
+  info.frames = 1;
+  yield { skip: ihdr.readUInt32BE(0) - 8 + 4 }; // rest of IHDR and its CRC
+
+  for (;;) {
+    const header = yield 8;
+    const length = header.readUInt32BE(0);
+    const type = header.toString("latin1", 4, 8);
+
+    if (type === "IDAT" || type === "IEND") return;
+
+    if (type === "acTL" && length >= 4) {
+      info.frames = (yield 4).readUInt32BE(0);
+      yield { skip: length - 4 + 4 };
+    } else if (type === "eXIf" && length > 0) {
+      info.orientation = exifOrientation(yield length);
+      yield { skip: 4 };
+    } else {
+      yield { skip: length + 4 };
+    }
+  }
+}
+
+/**
+ * GIF: logical screen for the size, then every block to count the frames
+ */
+function* readGif(info) {
+  const header = yield 13;
+  info.width = header.readUInt16LE(6);
+  info.height = header.readUInt16LE(8);
+  info.frames = 0;
+
+  const flags = header[10];
+  if (flags & 0x80) yield { skip: 3 * 2 ** ((flags & 0x07) + 1) };
+
+  for (;;) {
+    const introducer = (yield 1)[0];
+
+    if (introducer === 0x2c) {
+      // Image descriptor, optional local color table, LZW code size
+      const descriptor = yield 9;
+      if (descriptor[8] & 0x80) {
+        yield { skip: 3 * 2 ** ((descriptor[8] & 0x07) + 1) };
+      }
+      yield { skip: 1 };
+      info.frames++;
+    } else if (introducer === 0x21) {
+      yield { skip: 1 }; // extension label
+    } else {
+      return; // trailer, or something that isn't a GIF block
+    }
+
+    // Data sub-blocks, ended by a zero-length one
+    for (let size = (yield 1)[0]; size > 0; size = (yield 1)[0]) {
+      yield { skip: size };
+    }
+  }
+}
+
+/**
+ * WebP: VP8X or the image chunk for the size, ANMF chunks for the frames
+ * and the EXIF chunk, which comes after the image data, for the orientation
+ */
+function* readWebp(info) {
+  yield { skip: 12 }; // RIFF header, already checked on upload
+
+  let animated = false;
+  let exifPending = false;
+
+  for (;;) {
+    const header = yield 8;
+    const fourcc = header.toString("latin1", 0, 4);
+    const size = header.readUInt32LE(4);
+    let remaining = size + (size & 1);
+
+    if (fourcc === "VP8X" && size >= 10) {
+      const chunk = yield 10;
+      remaining -= 10;
+      info.width = chunk.readUIntLE(4, 3) + 1;
+      info.height = chunk.readUIntLE(7, 3) + 1;
+      animated = Boolean(chunk[0] & 0x02);
+      exifPending = Boolean(chunk[0] & 0x08);
+      info.frames = animated ? 0 : 1;
+    } else if (fourcc === "ANMF") {
+      info.frames++;
+    } else if (fourcc === "EXIF" && size > 0) {
+      info.orientation = exifOrientation(yield size);
+      remaining -= size;
+      exifPending = false;
+    } else if (fourcc === "VP8 " && !info.width && size >= 10) {
+      const chunk = yield 10;
+      remaining -= 10;
+      info.width = chunk.readUInt16LE(6) & 0x3fff;
+      info.height = chunk.readUInt16LE(8) & 0x3fff;
+      info.frames = 1;
+    } else if (fourcc === "VP8L" && !info.width && size >= 5) {
+      const chunk = yield 5;
+      remaining -= 5;
+      const bits = chunk.readUInt32LE(1);
+      info.width = (bits & 0x3fff) + 1;
+      info.height = ((bits >> 14) & 0x3fff) + 1;
+      info.frames = 1;
+    }
+
+    // Animations are walked to the end to count every frame
+    if (info.width && !animated && !exifPending) return;
+
+    yield { skip: remaining };
+  }
+}
+
+const READERS = {
+  "image/jpeg": readJpeg,
+  "image/png": readPng,
+  "image/gif": readGif,
+  "image/webp": readWebp,
+};
+
+/**
+ * ImageInfoReader Class
+ * Feeds chunks of a file to one of the format generators above
+ */
+class ImageInfoReader {
+  constructor(read) {
+    this.info = { width: null, height: null, frames: null, orientation: null };
+    this.parser = read(this.info);
+    this.request = this.parser.next().value;
+    this.pending = [];
+    this.pendingLength = 0;
+    this.done = false;
+  }
+
+  update(chunk) {
+    let offset = 0;
+
+    while (!this.done && offset < chunk.length) {
+      if (typeof this.request === "object") {
+        const length = Math.min(this.request.skip, chunk.length - offset);
+        this.request.skip -= length;
+        offset += length;
+        if (this.request.skip === 0) this.advance();
+        continue;
+      }
+
+      const length = Math.min(
+        this.request - this.pendingLength,
+        chunk.length - offset,
+      );
+      this.pending.push(chunk.subarray(offset, offset + length));
+      this.pendingLength += length;
+      offset += length;
+
+      if (this.pendingLength === this.request) {
+        const bytes = Buffer.concat(this.pending);
+        this.pending = [];
+        this.pendingLength = 0;
+        this.advance(bytes);
+      }
+    }
+  }
+
+  advance(bytes) {
+    const { value, done } = this.parser.next(bytes);
+    this.request = value;
+    // A negative skip comes from a corrupt length field - stop there
+    this.done = done || (typeof value === "object" && value.skip < 0);
+  }
+
+  /**
+   * @returns {Object|null} { width, height, animated, frames }, or null if
+   *   the file ended before its size did
+   */
+  result() {
+    const { width, height, frames, orientation } = this.info;
+    if (!width || !height) return null;
+
+    // Orientations 5-8 turn the image on its side
+    return orientation >= 5
+      ? { width: height, height: width, animated: frames > 1, frames }
+      : { width, height, animated: frames > 1, frames };
+  }
+}
+
+/**
+ * Creates a reader for a MIME type
+ * @returns {ImageInfoReader|null} Reader, or null if the type isn't parsed
+ */
+export function createImageInfoReader(mimetype) {
+  const read = READERS[canonicalMimeType(mimetype)];
+  return read ? new ImageInfoReader(read) : null;
+}
+
+/**
+ * Reads the dimensions of an image that's already in memory
+ * @returns {Object|null} { width, height, animated, frames }
+ */
+export function readImageInfo(buffer, mimetype) {
+  const reader = createImageInfoReader(mimetype);
+  if (!reader) return null;
+
+  reader.update(buffer);
+  return reader.result();
+}
+
+/**
+ * Object metadata entries for image details - metadata values are strings
+ */
+export function imageInfoMetadata(info) {
+  return {
+    "image-width": String(info.width),
+    "image-height": String(info.height),
+    "image-animated": String(info.animated),
+    "image-frames": String(info.frames),
+  };
+}
+
+/**
+ * Records image details on an object that has already been stored, for
+ * streamed uploads where the frame count is only known at the very end.
+ * The upload itself succeeded by then, so a failure is only logged.
+ */
+export async function storeImageInfo(filename, info) {
+  try {
+    await updateObjectMetadata(filename, imageInfoMetadata(info));
+  } catch (metadataError) {
+    console.warn(
+      `Could not store image details for ${filename}: ${metadataError.message}`,
+    );
+  }
+}
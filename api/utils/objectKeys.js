@@ -0,0 +1,313 @@
+// utils/objectKeys.js
+import crypto from "crypto";
+import { findFileType } from "../../shared/fileTypes.js";
+
+/**
+ * Object key templates
+ * OBJECT_KEY_TEMPLATE decides where uploads land in the bucket, e.g.
+ * "{yyyy}/{mm}/{uuid}.{ext}" or "{slug}-{short-id}.{ext}". Tokens:
+ *   {uuid}      - random UUID
+ *   {short-id}  - 8 random URL-safe characters
+ *   {hash}      - SHA-256 of the stored bytes (the file is buffered for it)
+ *   {slug}      - the original filename, lowercased and dashed
+ *   {source}    - "web" or "api"
+ *   {yyyy} {mm} {dd} - upload date, UTC
+ *   {ext}       - file extension
+ *
+ * Templates have to end in ".{ext}" and include {uuid}, {short-id} or
+ * {hash}, so two uploads can't quietly overwrite each other.
+ */
+export const DEFAULT_KEY_TEMPLATE = "{uuid}.{ext}";
+
+const KEY_TOKENS = [
+  "uuid",
+  "short-id",
+  "hash",
+  "slug",
+  "source",
+  "yyyy",
+  "mm",
+  "dd",
+  "ext",
+];
+
+const UNIQUE_TOKENS = ["{uuid}", "{short-id}", "{hash}"];
+
+// Folder segments: letters, digits, dots, dashes and underscores
+const FOLDER_SEGMENT = /^[A-Za-z0-9._-]{1,64}$/;
+const MAX_FOLDER_DEPTH = 8;
+
+/**
+ * Returns the configured key template
+ * @throws {Error} If the template uses unknown tokens or can't produce
+ *   unique keys
+ */
+export function getKeyTemplate() {
+  const template = process.env.OBJECT_KEY_TEMPLATE || DEFAULT_KEY_TEMPLATE;
+
+  const unknown = (template.match(/\{[^}]*\}/g) || []).filter(
+    (token) => !KEY_TOKENS.includes(token.slice(1, -1)),
+  );
+  if (unknown.length > 0) {
+    throw new Error(
+      `OBJECT_KEY_TEMPLATE has unknown tokens: ${unknown.join(", ")}`,
+    );
+  }
+
+  if (!template.endsWith(".{ext}")) {
+    throw new Error('OBJECT_KEY_TEMPLATE has to end in ".{ext}"');
+  }
+
+  if (!UNIQUE_TOKENS.some((token) => template.includes(token))) {
+    throw new Error(
+      `OBJECT_KEY_TEMPLATE needs one of ${UNIQUE_TOKENS.join(", ")}`,
+    );
+  }
+
+  // The rendered key is checked like a folder, minus the file name
+  normalizeFolder(
+    template
+      .replace(/\{[^}]*\}/g, "x")
+      .split("/")
+      .slice(0, -1)
+      .join("/"),
+  );
+
+  return template;
+}
+
+/**
+ * Whether a template needs the whole file before its key can be built
+ */
+export function templateNeedsContent(template) {
+  return template.includes("{hash}");
+}
+
+/**
+ * Validates a folder and returns it without leading or trailing slashes
+ * @param {string} folder - e.g. "avatars/2024", empty for none
+ * @returns {string} Normalized folder, "" if none was given
+ * @throws {Error} If the folder could climb out of its prefix or has
+ *   characters that don't belong in a key
+ */
+export function normalizeFolder(folder) {
+  if (folder === undefined || folder === null || folder === "") return "";
+  if (typeof folder !== "string") {
+    throw new Error("Folder has to be a string");
+  }
+
+  const trimmed = folder.replace(/^\/+|\/+$/g, "");
+  if (!trimmed) return "";
+
+  const segments = trimmed.split("/");
+  if (segments.length > MAX_FOLDER_DEPTH) {
+    throw new Error(`Folders can be at most ${MAX_FOLDER_DEPTH} levels deep`);
+  }
+
+  for (const segment of segments) {
+    if (segment === "." || segment === ".." || !FOLDER_SEGMENT.test(segment)) {
+      throw new Error(
+        `Invalid folder segment "${segment}" - use letters, digits, ".", "-" and "_"`,
+      );
+    }
+  }
+
+  return segments.join("/");
+}
+
+/**
+ * Prefix private uploads are stored under - one top-level prefix, so the
+ * bucket or CDN can refuse to serve all of them with a single rule
+ * @returns {string} PRIVATE_PREFIX with a trailing slash, "private/" by
+ *   default
+ * @throws {Error} If PRIVATE_PREFIX isn't a valid folder
+ */
+export function getPrivatePrefix() {
+  const prefix = normalizeFolder(process.env.PRIVATE_PREFIX || "private");
+  if (!prefix) {
+    throw new Error("PRIVATE_PREFIX can't be the bucket root");
+  }
+  return `${prefix}/`;
+}
+
+/**
+ * Whether a key is a private upload
+ */
+export function isPrivateKey(key) {
+  return key.startsWith(getPrivatePrefix());
+}
+
+/**
+ * Prefix for the app's own bookkeeping objects, like the usage cache
+ * snapshot - inside the private prefix so it's never served, and off limits
+ * to listings, links, deletes and uploads
+ */
+export function getInternalPrefix() {
+  return `${getPrivatePrefix()}.internal/`;
+}
+
+export function isInternalKey(key) {
+  return key.startsWith(getInternalPrefix());
+}
+
+/**
+ * Expiring uploads
+ * Uploads with an expiry are kept under an "expires/" folder - at the top,
+ * inside the private prefix or inside the internal one - in a folder named
+ * after the UTC hour they've expired by:
+ *   private/expires/2026-10-18T13/ci/3f2a....png
+ * The sweep lists those folders instead of reading every object's metadata.
+ */
+const EXPIRY_FOLDER = "expires/";
+const HOUR_MS = 60 * 60 * 1000;
+
+// Whichever of the internal prefix, the private prefix or the bucket root
+// a key lives under
+function rootOf(key) {
+  if (isInternalKey(key)) return getInternalPrefix();
+  if (isPrivateKey(key)) return getPrivatePrefix();
+  return "";
+}
+
+/**
+ * The folders expiring uploads are kept under, in key order
+ * @param {Object} options - { internal } to include the internal one
+ */
+export function getExpiryRoots({ internal = false } = {}) {
+  return ["", getPrivatePrefix(), ...(internal ? [getInternalPrefix()] : [])]
+    .map((root) => root + EXPIRY_FOLDER)
+    .sort();
+}
+
+/**
+ * Name of the hour folder for an expiry - the hour it's rounded up to, so
+ * everything in a folder has expired once its hour has begun
+ */
+export function expiryHour(expiresAt) {
+  const hour = Math.ceil(expiresAt.getTime() / HOUR_MS) * HOUR_MS;
+  return new Date(hour).toISOString().slice(0, 13);
+}
+
+/**
+ * When everything in an hour folder has expired, NaN if the name isn't one
+ */
+export function expiryHourTime(hour) {
+  return /^\d{4}-\d{2}-\d{2}T\d{2}$/.test(hour)
+    ? Date.parse(`${hour}:00:00Z`)
+    : NaN;
+}
+
+/**
+ * Moves a key into the hour folder of its expiry, leaving it as is if it
+ * doesn't expire
+ */
+export function withExpiry(key, expiresAt) {
+  if (!expiresAt) return key;
+
+  const root = rootOf(key);
+  return `${root}${EXPIRY_FOLDER}${expiryHour(expiresAt)}/${key.slice(root.length)}`;
+}
+
+/**
+ * Takes an expiring key apart
+ * @returns {Object|null} { root, hour, key } where key is what it would be
+ *   without an expiry, or null if it isn't an expiring key
+ */
+export function parseExpiringKey(key) {
+  const root = rootOf(key);
+  const rest = key.slice(root.length);
+  if (!rest.startsWith(EXPIRY_FOLDER)) return null;
+
+  const hour = rest.slice(EXPIRY_FOLDER.length).split("/", 1)[0];
+  if (Number.isNaN(expiryHourTime(hour))) return null;
+
+  return {
+    root,
+    hour,
+    key: root + rest.slice(EXPIRY_FOLDER.length + hour.length + 1),
+  };
+}
+
+/**
+ * Whether a folder key is one uploads can't be put in directly - the
+ * internal prefix or an "expires/" folder
+ */
+export function isReservedKey(key) {
+  return (
+    isInternalKey(key) ||
+    key.slice(rootOf(key).length).startsWith(EXPIRY_FOLDER)
+  );
+}
+
+/**
+ * Lowercased, dashed version of a filename without its extension
+ */
+function slugify(filename) {
+  const name = String(filename || "").replace(/\.[^.]*$/, "");
+  const slug = name
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60)
+    .replace(/-+$/, "");
+  return slug || "file";
+}
+
+/**
+ * Builds an object key from a template
+ * @param {Object} options
+ * @param {string} options.extension - Validated file extension
+ * @param {string} options.originalFilename - Name the file was uploaded as
+ * @param {string} options.source - "web" or "api"
+ * @param {Buffer} [options.buffer] - File contents, needed for {hash}
+ * @param {string} [options.prefix] - API key prefix, prepended as is
+ * @param {string} [options.folder] - Normalized folder
+ * @param {string} [options.template] - Defaults to OBJECT_KEY_TEMPLATE
+ * @returns {string} Object key
+ */
+export function buildObjectKey({
+  extension,
+  originalFilename,
+  source,
+  buffer,
+  prefix = "",
+  folder = "",
+  template = getKeyTemplate(),
+}) {
+  const now = new Date();
+  const values = {
+    uuid: () => crypto.randomUUID(),
+    "short-id": () => crypto.randomBytes(6).toString("base64url"),
+    hash: () => crypto.createHash("sha256").update(buffer).digest("hex"),
+    slug: () => slugify(originalFilename),
+    source: () => source,
+    yyyy: () => String(now.getUTCFullYear()),
+    mm: () => String(now.getUTCMonth() + 1).padStart(2, "0"),
+    dd: () => String(now.getUTCDate()).padStart(2, "0"),
+    ext: () => extension,
+  };
+
+  const name = template.replace(/\{([^}]*)\}/g, (_, token) => values[token]());
+  return prefix + (folder ? `${folder}/` : "") + name;
+}
+
+/**
+ * Key for content-addressed uploads: a SHA-256 of the stored bytes plus the
+ * type's usual extension, so identical files always land on the same key
+ */
+export function contentAddressedKey(
+  buffer,
+  mimetype,
+  prefix = "",
+  folder = "",
+) {
+  return buildObjectKey({
+    template: "{hash}.{ext}",
+    extension: findFileType(mimetype).extensions[0],
+    buffer,
+    prefix,
+    folder,
+  });
+}
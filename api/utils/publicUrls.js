@@ -0,0 +1,126 @@
+// utils/publicUrls.js
+import { isPrivateKey } from "./objectKeys.js";
+
+/**
+ * Public URL builder
+ * S3_ENDPOINT is the API endpoint - on R2 it's private, so links built from
+ * it don't load anywhere. Every configured form is built for each object:
+ *   customDomain - PUBLIC_CUSTOM_DOMAIN, e.g. https://cdn.example.com
+ *   r2Dev        - PUBLIC_R2_DEV_URL, e.g. https://pub-<id>.r2.dev
+ *   virtualHost  - <bucket>.<endpoint host>, when PUBLIC_URL_VIRTUAL_HOST=true
+ *   path         - <endpoint>/<bucket>, always there
+ *
+ * PUBLIC_URL_PATH_PREFIX goes in front of the key on the custom domain and
+ * r2.dev forms, for CDNs that serve the bucket under a sub-path. The form
+ * answered as "url" is PUBLIC_URL_STYLE, or the first configured one above.
+ *
+ * Private uploads never get a public URL - both builders return null for
+ * them, and they're shared through presigned links instead.
+ */
+export const PUBLIC_URL_STYLES = [
+  "customDomain",
+  "r2Dev",
+  "virtualHost",
+  "path",
+];
+
+function trimSlashes(value) {
+  return value.replace(/^\/+|\/+$/g, "");
+}
+
+/**
+ * Parses a base URL from the environment
+ * @throws {Error} If it isn't an http(s) URL
+ */
+function readBaseUrl(name) {
+  const value = process.env[name];
+  if (!value) return null;
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new Error(`${name} is not a valid URL`);
+  }
+  if (url.protocol !== "https:" && url.protocol !== "http:") {
+    throw new Error(`${name} has to be an http(s) URL`);
+  }
+  return `${url.origin}${url.pathname.replace(/\/+$/, "")}`;
+}
+
+/**
+ * Reads the public URL settings
+ * @returns {Object} { bases, style } where bases maps each configured style
+ *   to the URL keys are appended to
+ * @throws {Error} If a base URL is malformed or PUBLIC_URL_STYLE names a
+ *   form that isn't configured
+ */
+export function getPublicUrlConfig() {
+  const pathPrefix = trimSlashes(process.env.PUBLIC_URL_PATH_PREFIX || "");
+  const withPrefix = (base) =>
+    base && (pathPrefix ? `${base}/${pathPrefix}` : base);
+
+  const endpoint = new URL(process.env.S3_ENDPOINT);
+  const endpointPath = endpoint.pathname.replace(/\/+$/, "");
+  const bucket = process.env.S3_BUCKET;
+
+  const bases = {
+    customDomain: withPrefix(readBaseUrl("PUBLIC_CUSTOM_DOMAIN")),
+    r2Dev: withPrefix(readBaseUrl("PUBLIC_R2_DEV_URL")),
+    virtualHost:
+      process.env.PUBLIC_URL_VIRTUAL_HOST === "true"
+        ? `${endpoint.protocol}//${bucket}.${endpoint.host}${endpointPath}`
+        : null,
+    path: `${endpoint.origin}${endpointPath}/${bucket}`,
+  };
+
+  const style =
+    process.env.PUBLIC_URL_STYLE ||
+    PUBLIC_URL_STYLES.find((candidate) => bases[candidate]);
+  if (!bases[style]) {
+    throw new Error(
+      `PUBLIC_URL_STYLE "${style}" isn't configured - use one of ${PUBLIC_URL_STYLES.filter(
+        (candidate) => bases[candidate],
+      ).join(", ")}`,
+    );
+  }
+
+  return { bases, style };
+}
+
+/**
+ * Encodes a key for a URL path, keeping its slashes
+ */
+function encodeKey(filename) {
+  return filename.split("/").map(encodeURIComponent).join("/");
+}
+
+/**
+ * Every configured public URL of an object
+ * @returns {Object|null} { customDomain, r2Dev, virtualHost, path } - forms
+ *   that aren't configured are left out - or null for a private object
+ */
+export function buildPublicUrls(filename) {
+  if (isPrivateKey(filename)) return null;
+
+  const { bases } = getPublicUrlConfig();
+  const key = encodeKey(filename);
+
+  return Object.fromEntries(
+    PUBLIC_URL_STYLES.filter((style) => bases[style]).map((style) => [
+      style,
+      `${bases[style]}/${key}`,
+    ]),
+  );
+}
+
+/**
+ * The public URL of an object, in the configured style
+ * @returns {string|null} URL, or null for a private object
+ */
+export function buildPublicUrl(filename) {
+  if (isPrivateKey(filename)) return null;
+
+  const { bases, style } = getPublicUrlConfig();
+  return `${bases[style]}/${encodeKey(filename)}`;
+}
@@ -0,0 +1,191 @@
+// utils/rateLimit.js
+import { getRateLimitStore } from "./rateLimitStore.js";
+
+/**
+ * Default per-key limits for the v1 API
+ * Individual keys can override them with "rateLimit" and "dailyQuota" in
+ * API_KEYS; 0 switches a limit off
+ */
+export const API_RATE_LIMIT = parseInt(process.env.API_RATE_LIMIT || "60");
+export const API_RATE_LIMIT_WINDOW = parseInt(
+  process.env.API_RATE_LIMIT_WINDOW || "60",
+); // seconds
+export const API_DAILY_QUOTA = parseInt(
+  process.env.API_DAILY_QUOTA || String(1024 * 1024 * 1024),
+); // bytes per UTC day
+
+function limitsFor(apiKey) {
+  return {
+    requests: apiKey.rateLimit ?? API_RATE_LIMIT,
+    windowMs: API_RATE_LIMIT_WINDOW * 1000,
+    dailyQuota: apiKey.dailyQuota ?? API_DAILY_QUOTA,
+  };
+}
+
+function nextUtcMidnight(now) {
+  const reset = new Date(now);
+  reset.setUTCHours(24, 0, 0, 0);
+  return reset.getTime();
+}
+
+// One counter per key per UTC day, so yesterday's simply expires
+function quotaKey(apiKey, now) {
+  return `quota:${apiKey.name}:${new Date(now).toISOString().slice(0, 10)}`;
+}
+
+/**
+ * Reports where a key stands in its rate limit window
+ * @param {Object} apiKey - Key returned by authenticateRequest
+ * @param {Object} options - { consume } to count this request if allowed
+ * @returns {Object} { allowed, limit, remaining, resetAt, retryAfter }
+ */
+export async function checkRateLimit(apiKey, { consume = false } = {}) {
+  const now = Date.now();
+  const { requests, windowMs } = limitsFor(apiKey);
+
+  if (!requests) {
+    return {
+      allowed: true,
+      limit: null,
+      remaining: null,
+      resetAt: null,
+      retryAfter: 0,
+    };
+  }
+
+  // The window frees up a slot when its oldest request ages out
+  const { allowed, count, resetAt } = await getRateLimitStore().hit(
+    `api:${apiKey.name}`,
+    { limit: requests, windowMs, consume },
+  );
+
+  return {
+    allowed,
+    limit: requests,
+    remaining: Math.max(0, requests - count),
+    resetAt,
+    retryAfter: allowed ? 0 : Math.ceil((resetAt - now) / 1000),
+  };
+}
+
+/**
+ * Reports how much of its daily byte quota a key has left
+ * @returns {Object} { limit, used, remaining, resetAt, retryAfter }
+ */
+export async function getQuotaUsage(apiKey) {
+  const now = Date.now();
+  const { dailyQuota } = limitsFor(apiKey);
+  const resetAt = nextUtcMidnight(now);
+  const used = await getRateLimitStore().get(quotaKey(apiKey, now));
+
+  if (!dailyQuota) {
+    return {
+      limit: null,
+      used,
+      remaining: Infinity,
+      resetAt,
+      retryAfter: 0,
+    };
+  }
+
+  const remaining = Math.max(0, dailyQuota - used);
+  return {
+    limit: dailyQuota,
+    used,
+    remaining,
+    resetAt,
+    retryAfter: remaining > 0 ? 0 : Math.ceil((resetAt - now) / 1000),
+  };
+}
+
+/**
+ * Sets aside up to `bytes` of a key's daily quota before the upload starts
+ * The counter is bumped first and whatever went past the quota handed back,
+ * so two requests racing each other can't both be given the same bytes.
+ * Every reservation has to be settled with settleQuota once the bytes are
+ * counted.
+ * @returns {Object} { reserved, limit, resetAt, retryAfter, reservedAt } -
+ *   reserved is 0 once the quota is used up
+ */
+export async function reserveQuota(apiKey, bytes) {
+  const now = Date.now();
+  const { dailyQuota } = limitsFor(apiKey);
+  const resetAt = nextUtcMidnight(now);
+  const key = quotaKey(apiKey, now);
+  const store = getRateLimitStore();
+
+  const total = await store.increment(key, bytes, resetAt - now);
+  let reserved = bytes;
+  if (dailyQuota && total > dailyQuota) {
+    reserved = Math.max(0, bytes - (total - dailyQuota));
+    await store.increment(key, reserved - bytes, resetAt - now);
+  }
+
+  return {
+    reserved,
+    limit: dailyQuota || null,
+    resetAt,
+    retryAfter: reserved > 0 ? 0 : Math.ceil((resetAt - now) / 1000),
+    reservedAt: now,
+  };
+}
+
+/**
+ * Swaps a reservation for the bytes that were actually stored, refunding
+ * what went unused. Nothing is ever charged past the reservation - callers
+ * cap what they store at it instead.
+ */
+export async function settleQuota(apiKey, reservation, bytes) {
+  const difference =
+    Math.min(bytes, reservation.reserved) - reservation.reserved;
+  const now = Date.now();
+  const ttlMs = nextUtcMidnight(reservation.reservedAt) - now;
+
+  // Past midnight the reservation's counter has already gone
+  if (!difference || ttlMs <= 0) return;
+
+  await getRateLimitStore().increment(
+    quotaKey(apiKey, reservation.reservedAt),
+    difference,
+    ttlMs,
+  );
+}
+
+/**
+ * Hands back what presign reserved for an upload that's deleted without
+ * going live. The pending object's metadata was signed into the upload URL,
+ * so it says who reserved how many bytes, and on which day. Finalize and the
+ * sweep can both get to the same object, so only the first refund counts.
+ * @param {string} pendingKey - Key the upload was waiting at
+ * @param {Object} metadata - Metadata of the pending object
+ */
+export async function refundPresignedUpload(pendingKey, metadata = {}) {
+  const source = metadata["upload-source"] || "";
+  const reserved = parseInt(metadata["file-size"]);
+  const reservedAt = Date.parse(metadata["upload-time"]);
+  if (!source.startsWith("api:") || !(reserved > 0)) return;
+
+  // Past midnight the reservation's counter has already gone
+  const ttlMs = nextUtcMidnight(reservedAt) - Date.now();
+  if (!(ttlMs > 0)) return;
+  if (!(await getRateLimitStore().claim(`refund:${pendingKey}`, ttlMs))) {
+    return;
+  }
+
+  await settleQuota(
+    { name: source.slice("api:".length) },
+    { reserved, reservedAt },
+    0,
+  );
+}
+
+/**
+ * Sets the X-RateLimit-* headers for a rate limit check
+ */
+export function setRateLimitHeaders(res, rateLimit) {
+  if (rateLimit.limit === null) return;
+
+  res.setHeader("X-RateLimit-Limit", rateLimit.limit);
+  res.setHeader("X-RateLimit-Remaining", rateLimit.remaining);
+  res.setHeader("X-RateLimit-Reset", Math.ceil(rateLimit.resetAt / 1000));
+}
@@ -0,0 +1,206 @@
+// utils/rateLimitStore.js
+import Redis from "ioredis";
+
+/**
+ * Rate limit stores
+ * Both implement the same async interface:
+ *   hit(key, { limit, windowMs, consume }) - sliding window check, counts
+ *     the request when consume is set and there is room
+ *     -> { allowed, count, resetAt }
+ *   increment(key, amount, ttlMs) - adds to a counter -> new total
+ *   get(key) - reads a counter -> total (0 if unset)
+ *   claim(key, ttlMs) - sets a marker unless it's already there -> true if
+ *     this call set it
+ * Every entry expires on its own once its window or TTL has passed.
+ */
+
+/**
+ * MemoryRateLimitStore Class
+ * Per-instance store - resets on cold start and isn't shared between
+ * instances, but needs nothing else running
+ */
+export class MemoryRateLimitStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async hit(key, { limit, windowMs, consume = true }) {
+    const now = Date.now();
+    const hits = (this.entries.get(key)?.value || []).filter(
+      (time) => now - time < windowMs,
+    );
+
+    const allowed = hits.length < limit;
+    if (allowed && consume) hits.push(now);
+
+    if (hits.length > 0) {
+      this.set(key, hits, hits[0] + windowMs - now);
+    } else {
+      this.delete(key);
+    }
+
+    return {
+      allowed,
+      count: hits.length,
+      resetAt: hits.length > 0 ? hits[0] + windowMs : now,
+    };
+  }
+
+  async increment(key, amount, ttlMs) {
+    const entry = this.entries.get(key);
+    const total = (entry?.value || 0) + amount;
+
+    if (entry) {
+      entry.value = total;
+    } else {
+      this.set(key, total, ttlMs);
+    }
+
+    return total;
+  }
+
+  async get(key) {
+    return this.entries.get(key)?.value || 0;
+  }
+
+  async claim(key, ttlMs) {
+    if (this.entries.has(key)) return false;
+    this.set(key, true, ttlMs);
+    return true;
+  }
+
+  set(key, value, ttlMs) {
+    this.delete(key);
+
+    // unref so a pending expiry never keeps the process alive
+    const timer = setTimeout(() => this.entries.delete(key), ttlMs);
+    timer.unref?.();
+
+    this.entries.set(key, { value, timer });
+  }
+
+  delete(key) {
+    clearTimeout(this.entries.get(key)?.timer);
+    this.entries.delete(key);
+  }
+}
+
+/**
+ * Sliding window as a sorted set of request timestamps. Runs as one script
+ * so concurrent requests can't both squeeze into the last slot.
+ */
+const SLIDING_WINDOW_SCRIPT = `
+local now = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local limit = tonumber(ARGV[3])
+
+redis.call("ZREMRANGEBYSCORE", KEYS[1], "-inf", now - window)
+local count = redis.call("ZCARD", KEYS[1])
+local allowed = count < limit
+
+if allowed and ARGV[4] == "1" then
+  redis.call("ZADD", KEYS[1], now, ARGV[5])
+  count = count + 1
+end
+
+local oldest = now
+if count > 0 then
+  oldest = tonumber(redis.call("ZRANGE", KEYS[1], 0, 0, "WITHSCORES")[2])
+  redis.call("PEXPIREAT", KEYS[1], oldest + window)
+end
+
+return { allowed and 1 or 0, count, oldest }
+`;
+
+/**
+ * Adds to a counter, starting its TTL only when the counter is created
+ */
+const INCREMENT_SCRIPT = `
+local total = redis.call("INCRBY", KEYS[1], ARGV[1])
+if redis.call("PTTL", KEYS[1]) < 0 then
+  redis.call("PEXPIRE", KEYS[1], ARGV[2])
+end
+return total
+`;
+
+/**
+ * RedisRateLimitStore Class
+ * Shared store for anything that speaks the Redis protocol (Redis, Valkey,
+ * Upstash, Dragonfly...). Expiry is left to the server.
+ */
+export class RedisRateLimitStore {
+  constructor(url, { keyPrefix = "ratelimit:" } = {}) {
+    this.client = new Redis(url, {
+      keyPrefix,
+      // Fail fast - a hung limiter shouldn't hang the upload with it
+      connectTimeout: 2000,
+      maxRetriesPerRequest: 1,
+    });
+
+    this.client.defineCommand("slidingWindow", {
+      numberOfKeys: 1,
+      lua: SLIDING_WINDOW_SCRIPT,
+    });
+    this.client.defineCommand("incrementWithTtl", {
+      numberOfKeys: 1,
+      lua: INCREMENT_SCRIPT,
+    });
+  }
+
+  async hit(key, { limit, windowMs, consume = true }) {
+    const now = Date.now();
+    const [allowed, count, oldest] = await this.client.slidingWindow(
+      key,
+      now,
+      windowMs,
+      limit,
+      consume ? "1" : "0",
+      // Unique member so two requests in the same millisecond both count
+      `${now}-${Math.random().toString(36).slice(2)}`,
+    );
+
+    return {
+      allowed: allowed === 1,
+      count,
+      resetAt: count > 0 ? oldest + windowMs : now,
+    };
+  }
+
+  async increment(key, amount, ttlMs) {
+    return this.client.incrementWithTtl(key, amount, ttlMs);
+  }
+
+  async get(key) {
+    return parseInt((await this.client.get(key)) || "0");
+  }
+
+  async claim(key, ttlMs) {
+    return (await this.client.set(key, "1", "PX", ttlMs, "NX")) === "OK";
+  }
+}
+
+let store = null;
+
+/**
+ * Returns the configured rate limit store, creating it on first use
+ * RATE_LIMIT_STORE picks the backend: "memory" (default) or "redis",
+ * which connects to REDIS_URL
+ */
+export function getRateLimitStore() {
+  if (store) return store;
+
+  const backend = process.env.RATE_LIMIT_STORE || "memory";
+
+  if (backend === "redis") {
+    if (!process.env.REDIS_URL) {
+      throw new Error("RATE_LIMIT_STORE=redis requires REDIS_URL");
+    }
+    store = new RedisRateLimitStore(process.env.REDIS_URL);
+  } else if (backend === "memory") {
+    store = new MemoryRateLimitStore();
+  } else {
+    throw new Error(`Unknown RATE_LIMIT_STORE: ${backend}`);
+  }
+
+  return store;
+}
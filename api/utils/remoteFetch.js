@@ -0,0 +1,231 @@
+// utils/remoteFetch.js
+import http from "http";
+import https from "https";
+import dns from "dns";
+import net from "net";
+
+/**
+ * Remote fetch limits
+ */
+export const REMOTE_FETCH_TIMEOUT_MS =
+  parseInt(process.env.URL_INGEST_TIMEOUT_MS || "0") || 8000;
+export const REMOTE_FETCH_MAX_REDIRECTS =
+  parseInt(process.env.URL_INGEST_MAX_REDIRECTS || "0") || 3;
+
+/**
+ * Address ranges a remote fetch must never reach - loopback, private
+ * networks, link-local (cloud metadata lives here), CGNAT, multicast and
+ * reserved space. NAT64 (64:ff9b::/96) and IPv4-compatible (::a.b.c.d)
+ * addresses carry an IPv4 address that a gateway or dual stack may reach,
+ * so they're refused outright.
+ */
+const BLOCKED_ADDRESSES = new net.BlockList();
+BLOCKED_ADDRESSES.addSubnet("0.0.0.0", 8, "ipv4");
+BLOCKED_ADDRESSES.addSubnet("10.0.0.0", 8, "ipv4");
+BLOCKED_ADDRESSES.addSubnet("100.64.0.0", 10, "ipv4");
+BLOCKED_ADDRESSES.addSubnet("127.0.0.0", 8, "ipv4");
+BLOCKED_ADDRESSES.addSubnet("169.254.0.0", 16, "ipv4");
+BLOCKED_ADDRESSES.addSubnet("172.16.0.0", 12, "ipv4");
+BLOCKED_ADDRESSES.addSubnet("192.0.0.0", 24, "ipv4");
+BLOCKED_ADDRESSES.addSubnet("192.168.0.0", 16, "ipv4");
+BLOCKED_ADDRESSES.addSubnet("198.18.0.0", 15, "ipv4");
+BLOCKED_ADDRESSES.addSubnet("224.0.0.0", 4, "ipv4");
+BLOCKED_ADDRESSES.addSubnet("240.0.0.0", 4, "ipv4");
+BLOCKED_ADDRESSES.addSubnet("::", 96, "ipv6"); // includes :: and ::1
+BLOCKED_ADDRESSES.addSubnet("64:ff9b::", 96, "ipv6");
+BLOCKED_ADDRESSES.addSubnet("fc00::", 7, "ipv6");
+BLOCKED_ADDRESSES.addSubnet("fe80::", 10, "ipv6");
+BLOCKED_ADDRESSES.addSubnet("ff00::", 8, "ipv6");
+
+/**
+ * Checks whether an IP address is in a blocked range
+ * IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as IPv4
+ */
+export function isBlockedAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isBlockedAddress(mapped[1]);
+
+  const family = net.isIP(address);
+  if (family === 0) return true;
+
+  return BLOCKED_ADDRESSES.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+/**
+ * DNS lookup that refuses blocked addresses
+ * Used as the socket's lookup so the address that gets checked is the one
+ * that gets connected to - a second resolution can't swap it out
+ */
+function createGuardedLookup(allowPrivateAddresses) {
+  return (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) return callback(error);
+
+      const allowed = addresses.filter(
+        ({ address }) => allowPrivateAddresses || !isBlockedAddress(address),
+      );
+      if (allowed.length === 0) {
+        return callback(
+          new Error(`URL resolves to a blocked address: ${hostname}`),
+        );
+      }
+
+      if (options.all) return callback(null, allowed);
+      return callback(null, allowed[0].address, allowed[0].family);
+    });
+  };
+}
+
+/**
+ * Derives a filename from the last path segment of a URL
+ */
+function filenameFromUrl(url) {
+  const segment = url.pathname.split("/").filter(Boolean).pop() || "";
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+}
+
+/**
+ * Performs a single GET without following redirects
+ * @returns {Promise<Object>} { response } for redirects, or the downloaded file
+ */
+function requestOnce(url, { maxSize, signal, allowPrivateAddresses }) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === "https:" ? https : http;
+    const request = client.get(
+      url,
+      {
+        lookup: createGuardedLookup(allowPrivateAddresses),
+        signal,
+        headers: { "User-Agent": "r2-object-thrower/1.0", Accept: "*/*" },
+      },
+      (response) => {
+        const { statusCode, headers } = response;
+
+        if (statusCode >= 300 && statusCode < 400 && headers.location) {
+          response.resume();
+          return resolve({ redirect: new URL(headers.location, url) });
+        }
+
+        if (statusCode !== 200) {
+          response.resume();
+          return reject(
+            new Error(`Remote server responded with ${statusCode}`),
+          );
+        }
+
+        const declaredLength = parseInt(headers["content-length"] || "0");
+        if (declaredLength > maxSize) {
+          response.destroy();
+          return reject(new Error("File too large"));
+        }
+
+        const chunks = [];
+        let size = 0;
+        response.on("data", (chunk) => {
+          size += chunk.length;
+          if (size > maxSize) {
+            response.destroy();
+            return reject(new Error("File too large"));
+          }
+          chunks.push(chunk);
+        });
+        response.on("end", () =>
+          resolve({
+            buffer: Buffer.concat(chunks),
+            mimetype: (headers["content-type"] || "")
+              .split(";")[0]
+              .trim()
+              .toLowerCase(),
+          }),
+        );
+        response.on("error", reject);
+      },
+    );
+
+    request.on("error", reject);
+  });
+}
+
+/**
+ * Downloads a remote file into memory with strict limits
+ * Only http(s) is allowed, every redirect hop is re-checked against the
+ * blocked address ranges, and the whole exchange shares one deadline.
+ *
+ * @param {string} rawUrl - URL to fetch
+ * @param {Object} options - { maxSize, timeoutMs, maxRedirects, allowPrivateAddresses }
+ *   allowPrivateAddresses exists for local testing against a stand-in server
+ * @returns {Object} { buffer, mimetype, originalFilename, size, finalUrl }
+ * @throws {Error} If the URL is refused, the fetch fails, or limits are hit
+ */
+export async function fetchRemoteFile(rawUrl, options) {
+  const {
+    maxSize,
+    timeoutMs = REMOTE_FETCH_TIMEOUT_MS,
+    maxRedirects = REMOTE_FETCH_MAX_REDIRECTS,
+    allowPrivateAddresses = false,
+  } = options;
+
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch {
+    throw new Error("Invalid URL");
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    for (let hop = 0; hop <= maxRedirects; hop++) {
+      if (!["http:", "https:"].includes(url.protocol)) {
+        throw new Error("Only http and https URLs are allowed");
+      }
+
+      if (url.username || url.password) {
+        throw new Error("URLs with credentials are not allowed");
+      }
+
+      // IP literals never hit the DNS lookup, so check them up front
+      const hostname = url.hostname.replace(/^\[|\]$/g, "");
+      if (
+        net.isIP(hostname) &&
+        !allowPrivateAddresses &&
+        isBlockedAddress(hostname)
+      ) {
+        throw new Error(`URL points to a blocked address: ${hostname}`);
+      }
+
+      const result = await requestOnce(url, {
+        maxSize,
+        signal: controller.signal,
+        allowPrivateAddresses,
+      });
+
+      if (result.redirect) {
+        url = result.redirect;
+        continue;
+      }
+
+      return {
+        buffer: result.buffer,
+        mimetype: result.mimetype,
+        originalFilename: filenameFromUrl(url),
+        size: result.buffer.length,
+        finalUrl: url.toString(),
+      };
+    }
+
+    throw new Error(`Too many redirects (limit ${maxRedirects})`);
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw new Error(`Remote fetch timed out after ${timeoutMs}ms`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
@@ -0,0 +1,210 @@
+// utils/sanitize.js
+import { DOMParser, XMLSerializer } from "@xmldom/xmldom";
+import { canonicalMimeType } from "../../shared/fileTypes.js";
+
+/**
+ * SanitizeError Class
+ * Raised when an upload can't be parsed well enough to be cleaned up
+ */
+export class SanitizeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SanitizeError";
+  }
+}
+
+/**
+ * Elements that can run code or pull in other documents
+ */
+const SVG_BLOCKED_ELEMENTS = [
+  "script",
+  "foreignobject",
+  "iframe",
+  "embed",
+  "object",
+  "handler",
+  "listener",
+];
+
+/**
+ * Animations can rewrite attributes after load, so they're only kept if
+ * they leave links and event handlers alone
+ */
+const SVG_ANIMATION_ELEMENTS = ["animate", "set", "animatemotion"];
+
+const XLINK_NAMESPACE = "http://www.w3.org/1999/xlink";
+const XMLNS_NAMESPACE = "http://www.w3.org/2000/xmlns/";
+
+// Embedded raster images are fine; anything else in a data: URI is not
+const SAFE_DATA_URI = /^data:image\/(png|jpeg|gif|webp|avif);base64,/i;
+
+// url(...) that points anywhere but a fragment inside this document
+const EXTERNAL_URL = /url\(\s*['"]?\s*(?!#)[^)]/i;
+
+const ELEMENT_NODE = 1;
+const PROCESSING_INSTRUCTION_NODE = 7;
+const DOCUMENT_TYPE_NODE = 10;
+
+/**
+ * Links are told apart by namespace, not by how they're spelled - any
+ * prefix can be bound to XLink, so x:href is as much a link as xlink:href
+ */
+function isLinkAttribute(attribute) {
+  const name = attribute.localName.toLowerCase();
+  if (attribute.namespaceURI === XLINK_NAMESPACE) return name === "href";
+  return !attribute.namespaceURI && (name === "href" || name === "src");
+}
+
+function isUnsafeLink(value) {
+  const link = value.trim();
+  return !link.startsWith("#") && !SAFE_DATA_URI.test(link);
+}
+
+function hasUnsafeValue(value) {
+  return /javascript:|vbscript:|data:text\/html/i.test(
+    value.replace(/\s/g, ""),
+  );
+}
+
+/**
+ * Walks an element's subtree, dropping blocked elements and cleaning the
+ * attributes of everything that stays
+ */
+function cleanChildren(element, removed) {
+  for (const child of Array.from(element.childNodes)) {
+    if (child.nodeType === PROCESSING_INSTRUCTION_NODE) {
+      removed.add(`<?${child.target}?>`);
+      element.removeChild(child);
+      continue;
+    }
+    if (child.nodeType !== ELEMENT_NODE) continue;
+
+    const name = child.localName.toLowerCase();
+    const animatesUnsafe =
+      SVG_ANIMATION_ELEMENTS.includes(name) &&
+      /^(on|([^:]+:)?href$)/i.test(child.getAttribute("attributeName"));
+
+    if (SVG_BLOCKED_ELEMENTS.includes(name) || animatesUnsafe) {
+      removed.add(`<${child.localName}>`);
+      element.removeChild(child);
+      continue;
+    }
+
+    if (
+      name === "style" &&
+      (/@import/i.test(child.textContent) ||
+        EXTERNAL_URL.test(child.textContent))
+    ) {
+      removed.add("<style> with external references");
+      element.removeChild(child);
+      continue;
+    }
+
+    cleanAttributes(child, removed);
+    cleanChildren(child, removed);
+  }
+}
+
+/**
+ * Drops event handlers and attributes that link or url() outside the
+ * document or carry a javascript: URL
+ */
+function cleanAttributes(element, removed) {
+  for (const attribute of Array.from(element.attributes)) {
+    // Namespace declarations only name a namespace - xmlns:onx is no handler
+    if (attribute.namespaceURI === XMLNS_NAMESPACE) continue;
+
+    const value = attribute.value;
+
+    let reason = null;
+    if (attribute.localName.toLowerCase().startsWith("on")) {
+      reason = `${attribute.name} attribute`;
+    } else if (hasUnsafeValue(value)) {
+      reason = "javascript: URL";
+    } else if (
+      (isLinkAttribute(attribute) && isUnsafeLink(value)) ||
+      EXTERNAL_URL.test(value)
+    ) {
+      reason = `external reference (${attribute.name})`;
+    }
+
+    if (reason) {
+      removed.add(reason);
+      element.removeAttributeNode(attribute);
+    }
+  }
+}
+
+/**
+ * Parses an SVG and rewrites it without scripts, event handlers,
+ * javascript: URLs, external references or foreignObject
+ * @param {Buffer} buffer - Raw SVG
+ * @returns {Object} { buffer, removed } - the cleaned SVG and a list of
+ *   what was taken out
+ * @throws {SanitizeError} If the file isn't a well-formed SVG document
+ */
+export function sanitizeSvg(buffer) {
+  let document;
+  let parseFailure = null;
+  try {
+    document = new DOMParser({
+      onError: (level, message) => {
+        if (level === "warning") return;
+        parseFailure = message;
+        throw new Error(message);
+      },
+    }).parseFromString(buffer.toString("utf8"), "image/svg+xml");
+  } catch (parseError) {
+    // xmldom wraps whatever onError throws, so report the original message
+    throw new SanitizeError(
+      `SVG could not be parsed: ${parseFailure || parseError.message}`,
+    );
+  }
+
+  const root = document.documentElement;
+  if (!root || root.localName !== "svg") {
+    throw new SanitizeError(
+      "SVG could not be parsed: root element isn't <svg>",
+    );
+  }
+
+  const removed = new Set();
+
+  // Doctypes and processing instructions like <?xml-stylesheet?> can
+  // reference outside documents
+  for (const node of Array.from(document.childNodes)) {
+    if (node.nodeType === DOCUMENT_TYPE_NODE) {
+      removed.add("doctype");
+      document.removeChild(node);
+    } else if (
+      node.nodeType === PROCESSING_INSTRUCTION_NODE &&
+      node.target !== "xml"
+    ) {
+      removed.add(`<?${node.target}?>`);
+      document.removeChild(node);
+    }
+  }
+
+  cleanAttributes(root, removed);
+  cleanChildren(root, removed);
+
+  return {
+    buffer: Buffer.from(new XMLSerializer().serializeToString(document)),
+    removed: Array.from(removed),
+  };
+}
+
+/**
+ * Sanitizers by canonical MIME type - types listed here are rewritten
+ * before they're stored
+ */
+const SANITIZERS = {
+  "image/svg+xml": sanitizeSvg,
+};
+
+/**
+ * Returns the sanitizer for a MIME type, or null if it's stored as-is
+ */
+export function getSanitizer(mimetype) {
+  return SANITIZERS[canonicalMimeType(mimetype)] || null;
+}
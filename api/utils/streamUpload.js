@@ -0,0 +1,396 @@
+// utils/streamUpload.js
+import Busboy from "busboy";
+import crypto from "crypto";
+import { Transform } from "stream";
+import { buffer as readStream } from "stream/consumers";
+import { validateFileType, scanForSuspiciousContent } from "./uploadHelpers.js";
+import { findFileType, maxSizeFor } from "../../shared/fileTypes.js";
+import { getSanitizer } from "./sanitize.js";
+import { createMetadataStripper } from "./stripMetadata.js";
+import { createImageInfoReader } from "./imageInfo.js";
+
+/**
+ * Number of leading bytes held back for magic number and content checks
+ */
+const SNIFF_BYTES = 1024;
+
+/**
+ * Bytes of output an image upload may run ahead of storage while its header
+ * is read, so its dimensions can go in with the upload
+ */
+const INFO_LOOKAHEAD = 256 * 1024;
+
+/**
+ * UploadInspector Class
+ * Transform stream that validates an upload while it flows to storage.
+ * The first bytes are held back until the magic number and content scan
+ * pass; after that every chunk is counted against the file size limit and,
+ * for batch uploads, the budget shared by every file in the request.
+ * With stripMetadata set, image metadata is dropped on the way out. With
+ * retain set, a copy of the output is kept as long as it stays under that
+ * many bytes. Image dimensions are read from what's stored along the way,
+ * with up to INFO_LOOKAHEAD bytes buffered ahead of storage to get at them.
+ */
+class UploadInspector extends Transform {
+  constructor({
+    mimetype,
+    maxSize,
+    budget,
+    stripMetadata = false,
+    retain = 0,
+  }) {
+    const infoReader = createImageInfoReader(mimetype);
+    super(infoReader ? { readableHighWaterMark: INFO_LOOKAHEAD } : undefined);
+    this.mimetype = mimetype;
+    this.maxSize = maxSizeFor(findFileType(mimetype), maxSize);
+    this.budget = budget; // Optional { remaining, message } shared across a batch
+    this.stripper = stripMetadata ? createMetadataStripper(mimetype) : null;
+    this.retain = retain;
+    this.retainedChunks = retain ? [] : null;
+    this.infoReader = infoReader;
+    this.headerInfoPromise = new Promise(
+      (resolve) => (this.settleHeaderInfo = resolve),
+    );
+    if (!infoReader) this.settleHeaderInfo(null);
+    // Also keeps an early validation failure from going unhandled while
+    // nothing is reading yet - storage still sees it when it starts
+    this.once("error", () => this.settleHeaderInfo(null));
+    this.head = [];
+    this.headLength = 0;
+    this.inspected = false;
+    this.bytesRead = 0;
+    this.bytesWritten = 0;
+    this.validationError = null;
+  }
+
+  /**
+   * Metadata that was stripped, or null if the file wasn't run through
+   * a stripper
+   */
+  get stripped() {
+    return this.stripper ? Array.from(this.stripper.stripped) : null;
+  }
+
+  /**
+   * { width, height, animated, frames } of a stored image, or null if the
+   * type isn't parsed or its header couldn't be read
+   */
+  get imageInfo() {
+    return this.infoReader ? this.infoReader.result() : null;
+  }
+
+  /**
+   * The same details, settled before anything has to be stored: resolves
+   * with them once the header has been read or the whole file fit in the
+   * lookahead, and with null when they aren't known by then - GIF and
+   * animated WebP frames are counted to the very end. Only await it before
+   * the stream is handed to storage.
+   */
+  get headerInfo() {
+    return this.headerInfoPromise;
+  }
+
+  /**
+   * Copy of everything written, or null if none was kept or it outgrew
+   * retain
+   */
+  get retained() {
+    return this.retainedChunks && Buffer.concat(this.retainedChunks);
+  }
+
+  /**
+   * Marks an error as a validation failure so callers can tell a bad file
+   * apart from a storage outage
+   */
+  fail(message) {
+    this.validationError = new Error(message);
+    return this.validationError;
+  }
+
+  /**
+   * Hands validated bytes on, through the metadata stripper if there is one
+   */
+  output(chunk) {
+    const chunks = this.stripper
+      ? this.runStripper(() => this.stripper.update(chunk))
+      : [chunk];
+    this.pushAll(chunks);
+  }
+
+  pushAll(chunks) {
+    for (const chunk of chunks) {
+      this.bytesWritten += chunk.length;
+      this.infoReader?.update(chunk);
+      if (this.infoReader?.done) {
+        this.settleHeaderInfo(this.imageInfo);
+      } else if (this.bytesWritten >= INFO_LOOKAHEAD) {
+        this.settleHeaderInfo(null);
+      }
+      if (this.retainedChunks) {
+        this.retainedChunks.push(chunk);
+        if (this.bytesWritten > this.retain) this.retainedChunks = null;
+      }
+      this.push(chunk);
+    }
+  }
+
+  // A stripper only gives up on malformed files, so that's a bad upload
+  runStripper(step) {
+    try {
+      return step();
+    } catch (stripError) {
+      throw this.fail(stripError.message);
+    }
+  }
+
+  inspectHead() {
+    const head = Buffer.concat(this.head);
+    this.head = [];
+    this.inspected = true;
+
+    if (!validateFileType(head, this.mimetype)) {
+      throw this.fail(
+        "File type validation failed - file content doesn't match extension",
+      );
+    }
+
+    // Sanitized types are cleaned up after this instead of string-scanned
+    if (!getSanitizer(this.mimetype)) {
+      try {
+        scanForSuspiciousContent(head);
+      } catch (scanError) {
+        throw this.fail(scanError.message);
+      }
+    }
+
+    this.output(head);
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.bytesRead += chunk.length;
+
+    if (this.bytesRead > this.maxSize) {
+      return callback(this.fail("File too large"));
+    }
+
+    if (this.budget) {
+      this.budget.remaining -= chunk.length;
+      if (this.budget.remaining < 0) {
+        return callback(
+          this.fail(this.budget.message || "Batch size limit exceeded"),
+        );
+      }
+    }
+
+    try {
+      if (this.inspected) {
+        this.output(chunk);
+      } else {
+        this.head.push(chunk);
+        this.headLength += chunk.length;
+        if (this.headLength >= SNIFF_BYTES) this.inspectHead();
+      }
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  _flush(callback) {
+    if (this.bytesRead === 0) {
+      return callback(this.fail("Empty file not allowed"));
+    }
+
+    try {
+      if (!this.inspected) this.inspectHead();
+      if (this.stripper) {
+        this.pushAll(this.runStripper(() => this.stripper.finish()));
+      }
+      this.settleHeaderInfo(this.imageInfo);
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+}
+
+/**
+ * Pipes an incoming file stream through an UploadInspector
+ * If the inspector fails or is torn down early, the source is drained so the
+ * multipart parser can move on to the next part.
+ * @param {Readable} source - File stream from busboy
+ * @param {Object} options - { mimetype, maxSize, budget, stripMetadata,
+ *   retain }
+ * @returns {UploadInspector} Readable side to hand to storage
+ */
+export function inspectUpload(source, options) {
+  const inspector = new UploadInspector(options);
+
+  source.on("error", (error) => inspector.destroy(error));
+  inspector.on("close", () => {
+    if (!source.readableEnded) {
+      source.unpipe(inspector);
+      source.resume();
+    }
+  });
+
+  source.pipe(inspector);
+  return inspector;
+}
+
+/**
+ * Reads a streamed upload into memory, for when every byte is needed
+ * before the file can be stored
+ * @param {Object} file - { stream or buffer, ... }
+ * @returns {Object} The file with its buffer and size set
+ */
+export async function bufferUpload(file) {
+  if (file.buffer) return file;
+
+  const buffer = await readStream(file.stream);
+  return { ...file, stream: undefined, buffer, size: buffer.length };
+}
+
+/**
+ * Runs an upload through its type's sanitizer, if it has one
+ * The file is buffered first - sanitized types are capped small enough
+ * for that in the file type registry.
+ * @param {Object} file - { stream or buffer, mimetype, ... }
+ * @returns {Object} { file, removed } - file is ready for uploadToR2 and
+ *   removed lists what the sanitizer took out (null if it didn't run)
+ * @throws {SanitizeError} If the file can't be parsed
+ */
+export async function sanitizeUpload(file) {
+  const sanitize = getSanitizer(file.mimetype);
+  if (!sanitize) return { file, removed: null };
+
+  const input = file.buffer || (await readStream(file.stream));
+  const { buffer, removed } = sanitize(input);
+
+  return {
+    file: { ...file, stream: undefined, buffer, size: buffer.length },
+    removed,
+  };
+}
+
+/**
+ * Parses a multipart request with busboy, handing every file in the 'file'
+ * field to onFile as it arrives. Nothing is written to disk.
+ *
+ * Files in flight are destroyed if the request is aborted or the form is
+ * malformed, which in turn aborts their uploads. The returned promise only
+ * settles once every onFile call has finished.
+ *
+ * With hashBody set, the raw request body is hashed on the way through so
+ * signed requests can be checked without buffering it. onFile gets the
+ * hash as a promise too, so it can hold back work until the body is known
+ * to be the one that was signed - it resolves once the whole request has
+ * been read, or with null if it never is.
+ *
+ * onFile also gets the fields parsed so far - only fields sent before a
+ * file part can affect how that file is handled.
+ *
+ * @param {Object} req - Incoming request
+ * @param {Object} options - { limits, hashBody, onFile({ stream, filename,
+ *   mimetype, fields, bodySha256 }) }
+ * @returns {Object} { fields, results, filesLimitReached, bodySha256 }
+ */
+export function parseMultipartUpload(
+  req,
+  { limits, hashBody = false, onFile },
+) {
+  return new Promise((resolve, reject) => {
+    const bodyHash = hashBody ? crypto.createHash("sha256") : null;
+    let settleBodyHash;
+    const bodySha256 = hashBody
+      ? new Promise((resolve) => (settleBodyHash = resolve))
+      : Promise.resolve(null);
+    const fields = {};
+    const tasks = [];
+    const activeStreams = new Set();
+    let filesLimitReached = false;
+    let settled = false;
+
+    const finish = async (error) => {
+      if (settled) return;
+      settled = true;
+
+      if (error) {
+        settleBodyHash?.(null);
+        for (const stream of activeStreams) stream.destroy(error);
+      }
+
+      const outcomes = await Promise.allSettled(tasks);
+      const failure = outcomes.find((outcome) => outcome.status === "rejected");
+
+      if (error || failure) {
+        reject(error || failure.reason);
+      } else {
+        resolve({
+          fields,
+          results: outcomes.map((outcome) => outcome.value),
+          filesLimitReached,
+          bodySha256: await bodySha256,
+        });
+      }
+    };
+
+    let busboy;
+    try {
+      // Browsers and curl send UTF-8 filenames; busboy assumes latin1
+      busboy = Busboy({
+        headers: req.headers,
+        limits,
+        defParamCharset: "utf8",
+      });
+    } catch (error) {
+      return reject(error);
+    }
+
+    busboy.on("file", (name, stream, info) => {
+      if (name !== "file") {
+        stream.resume();
+        return;
+      }
+
+      activeStreams.add(stream);
+      stream.on("close", () => activeStreams.delete(stream));
+      stream.on("end", () => activeStreams.delete(stream));
+
+      // Only the fields sent before this file apply to it - copied now,
+      // since busboy may parse later fields before onFile runs
+      const fieldsSoFar = { ...fields };
+      tasks.push(
+        Promise.resolve().then(() =>
+          onFile({
+            stream,
+            filename: info.filename,
+            mimetype: info.mimeType,
+            fields: fieldsSoFar,
+            bodySha256,
+          }),
+        ),
+      );
+    });
+
+    busboy.on("field", (name, value) => {
+      fields[name] = value;
+    });
+
+    busboy.on("filesLimit", () => {
+      filesLimitReached = true;
+    });
+
+    busboy.on("close", () => finish());
+    busboy.on("error", (error) => finish(error));
+
+    req.on("aborted", () => finish(new Error("Request aborted")));
+    req.on("error", (error) => finish(error));
+
+    if (bodyHash) {
+      req.on("data", (chunk) => bodyHash.update(chunk));
+      req.on("end", () => settleBodyHash(bodyHash.digest("hex")));
+    }
+    req.pipe(busboy);
+  });
+}
@@ -0,0 +1,480 @@
+// utils/stripMetadata.js
+import { canonicalMimeType } from "../../shared/fileTypes.js";
+
+/**
+ * Lossless metadata stripping for JPEG, PNG and WebP
+ * Photos straight off a phone carry GPS coordinates and camera serial
+ * numbers, and uploaded objects are public. The pixel data is never
+ * touched - only metadata segments and chunks are dropped.
+ *
+ * Every stripper is a push parser: update(chunk) and finish() return the
+ * buffers to write out, and stripped lists what was removed. Orientation
+ * is carried over into a minimal EXIF block so photos don't end up sideways.
+ */
+
+const EXIF_ORIENTATION_TAG = 0x0112;
+const EXIF_GPS_TAG = 0x8825;
+
+const JPEG_EXIF_HEADER = Buffer.from("Exif\0\0", "latin1");
+const JPEG_XMP_HEADERS = [
+  "http://ns.adobe.com/xap/1.0/\0",
+  "http://ns.adobe.com/xmp/extension/\0",
+];
+const JPEG_IPTC_HEADER = "Photoshop 3.0\0";
+
+const PNG_SIGNATURE = Buffer.from([
+  0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+]);
+const PNG_TEXT_CHUNKS = ["tEXt", "zTXt", "iTXt"];
+
+// VP8X feature flags
+const WEBP_EXIF_FLAG = 0x08;
+const WEBP_XMP_FLAG = 0x04;
+
+/**
+ * Reads the orientation and whether GPS data is present from a TIFF
+ * structured EXIF block. Anything unreadable just counts as absent.
+ * @returns {Object} { orientation, hasGps }
+ */
+export function readExif(tiff) {
+  const result = { orientation: null, hasGps: false };
+  const order = tiff.toString("latin1", 0, 2);
+  if (tiff.length < 8 || (order !== "II" && order !== "MM")) return result;
+
+  const little = order === "II";
+  const u16 = (offset) =>
+    little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset);
+  const u32 = (offset) =>
+    little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset);
+
+  const ifd = u32(4);
+  if (ifd + 2 > tiff.length) return result;
+
+  const count = u16(ifd);
+  for (let i = 0; i < count; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (entry + 12 > tiff.length) break;
+
+    const tag = u16(entry);
+    if (tag === EXIF_ORIENTATION_TAG) {
+      const orientation = u16(entry + 8);
+      if (orientation >= 1 && orientation <= 8) {
+        result.orientation = orientation;
+      }
+    } else if (tag === EXIF_GPS_TAG) {
+      result.hasGps = true;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Builds a TIFF block holding nothing but the orientation tag
+ */
+function buildOrientationExif(orientation) {
+  const tiff = Buffer.alloc(26);
+  tiff.write("MM", 0, "latin1");
+  tiff.writeUInt16BE(42, 2);
+  tiff.writeUInt32BE(8, 4); // IFD0 right after the header
+  tiff.writeUInt16BE(1, 8); // one entry
+  tiff.writeUInt16BE(EXIF_ORIENTATION_TAG, 10);
+  tiff.writeUInt16BE(3, 12); // SHORT
+  tiff.writeUInt32BE(1, 14);
+  tiff.writeUInt16BE(orientation, 18);
+  // Next IFD offset stays 0
+  return tiff;
+}
+
+/**
+ * Records what an EXIF block held and returns its replacement: a minimal
+ * block with just the orientation, or null when there's nothing worth
+ * keeping (1 is the default orientation)
+ */
+function replaceExif(tiff, stripped) {
+  const { orientation, hasGps } = readExif(tiff);
+  stripped.add("EXIF");
+  if (hasGps) stripped.add("GPS");
+
+  return orientation && orientation !== 1
+    ? buildOrientationExif(orientation)
+    : null;
+}
+
+let crcTable = null;
+
+function crc32(buffer) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * JpegStripper Class
+ * Drops EXIF and XMP (APP1) and IPTC (APP13) segments. Everything from the
+ * start of scan onwards is image data and passes straight through.
+ */
+class JpegStripper {
+  constructor() {
+    this.pending = Buffer.alloc(0);
+    this.started = false;
+    this.scanning = false;
+    this.stripped = new Set();
+  }
+
+  update(chunk) {
+    if (this.scanning) return [chunk];
+
+    const buffer = this.pending.length
+      ? Buffer.concat([this.pending, chunk])
+      : chunk;
+    const output = [];
+    let offset = 0;
+
+    if (!this.started) {
+      if (buffer.length < 2) {
+        this.pending = buffer;
+        return output;
+      }
+      if (buffer[0] !== 0xff || buffer[1] !== 0xd8) {
+        throw new Error("Malformed JPEG - missing start of image");
+      }
+      output.push(buffer.subarray(0, 2));
+      offset = 2;
+      this.started = true;
+    }
+
+    while (offset + 2 <= buffer.length) {
+      if (buffer[offset] !== 0xff) {
+        throw new Error("Malformed JPEG - expected a segment marker");
+      }
+
+      const marker = buffer[offset + 1];
+
+      // Fill byte before a marker
+      if (marker === 0xff) {
+        offset += 1;
+        continue;
+      }
+
+      // Start of scan or end of image: the rest is image data
+      if (marker === 0xda || marker === 0xd9) {
+        output.push(buffer.subarray(offset));
+        offset = buffer.length;
+        this.scanning = true;
+        break;
+      }
+
+      // Standalone markers (TEM, RSTn) have no length
+      if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+        output.push(buffer.subarray(offset, offset + 2));
+        offset += 2;
+        continue;
+      }
+
+      if (offset + 4 > buffer.length) break;
+      const end = offset + 2 + buffer.readUInt16BE(offset + 2);
+      if (end > buffer.length) break;
+
+      const segment = buffer.subarray(offset, end);
+      const replacement = this.filterSegment(marker, segment.subarray(4));
+      if (replacement === undefined) {
+        output.push(segment);
+      } else if (replacement) {
+        output.push(replacement);
+      }
+
+      offset = end;
+    }
+
+    this.pending = buffer.subarray(offset);
+    return output;
+  }
+
+  /**
+   * @returns {Buffer|null|undefined} A replacement segment, null to drop
+   *   the segment or undefined to keep it as it is
+   */
+  filterSegment(marker, payload) {
+    const header = payload.toString("latin1", 0, 35);
+
+    if (marker === 0xe1 && payload.subarray(0, 6).equals(JPEG_EXIF_HEADER)) {
+      const exif = replaceExif(payload.subarray(6), this.stripped);
+      if (!exif) return null;
+
+      const segment = Buffer.alloc(4 + JPEG_EXIF_HEADER.length + exif.length);
+      segment.writeUInt16BE(0xffe1, 0);
+      segment.writeUInt16BE(segment.length - 2, 2);
+      JPEG_EXIF_HEADER.copy(segment, 4);
+      exif.copy(segment, 4 + JPEG_EXIF_HEADER.length);
+      return segment;
+    }
+
+    if (marker === 0xe1 && JPEG_XMP_HEADERS.some((h) => header.startsWith(h))) {
+      this.stripped.add("XMP");
+      return null;
+    }
+
+    if (marker === 0xed && header.startsWith(JPEG_IPTC_HEADER)) {
+      this.stripped.add("IPTC");
+      return null;
+    }
+
+    return undefined;
+  }
+
+  finish() {
+    if (!this.scanning) {
+      throw new Error("Malformed JPEG - file ends before the image data");
+    }
+    return [];
+  }
+}
+
+/**
+ * PngStripper Class
+ * Drops text chunks (tEXt, zTXt, iTXt) and eXIf. Chunks that are kept,
+ * image data included, pass through without being buffered.
+ */
+class PngStripper {
+  constructor() {
+    this.pending = Buffer.alloc(0);
+    this.started = false;
+    this.passing = 0; // bytes of a kept chunk still to pass through
+    this.skipping = 0; // bytes of a dropped chunk still to skip
+    this.ended = false;
+    this.stripped = new Set();
+  }
+
+  update(chunk) {
+    const buffer = this.pending.length
+      ? Buffer.concat([this.pending, chunk])
+      : chunk;
+    const output = [];
+    let offset = 0;
+
+    while (offset < buffer.length) {
+      const available = buffer.length - offset;
+
+      if (this.passing > 0 || this.ended) {
+        const length = this.ended
+          ? available
+          : Math.min(this.passing, available);
+        output.push(buffer.subarray(offset, offset + length));
+        this.passing = Math.max(0, this.passing - length);
+        offset += length;
+        continue;
+      }
+
+      if (this.skipping > 0) {
+        const length = Math.min(this.skipping, available);
+        this.skipping -= length;
+        offset += length;
+        continue;
+      }
+
+      if (!this.started) {
+        if (available < 8) break;
+        if (!buffer.subarray(offset, offset + 8).equals(PNG_SIGNATURE)) {
+          throw new Error("Malformed PNG - bad signature");
+        }
+        output.push(PNG_SIGNATURE);
+        offset += 8;
+        this.started = true;
+        continue;
+      }
+
+      // Chunk: length, type, data, CRC
+      if (available < 8) break;
+      const length = buffer.readUInt32BE(offset);
+      const type = buffer.toString("latin1", offset + 4, offset + 8);
+
+      if (PNG_TEXT_CHUNKS.includes(type)) {
+        this.stripped.add("text");
+        this.skipping = 12 + length;
+        continue;
+      }
+
+      if (type === "eXIf") {
+        if (available < 12 + length) break;
+        const exif = replaceExif(
+          buffer.subarray(offset + 8, offset + 8 + length),
+          this.stripped,
+        );
+        if (exif) output.push(buildPngChunk("eXIf", exif));
+        offset += 12 + length;
+        continue;
+      }
+
+      this.passing = 12 + length;
+      // Whatever trails IEND isn't ours to judge - it passes along untouched
+      if (type === "IEND") this.ended = true;
+    }
+
+    this.pending = buffer.subarray(offset);
+    return output;
+  }
+
+  finish() {
+    if (
+      !this.started ||
+      this.pending.length > 0 ||
+      this.passing > 0 ||
+      this.skipping > 0
+    ) {
+      throw new Error("Malformed PNG - truncated chunk");
+    }
+    return [];
+  }
+}
+
+function buildPngChunk(type, data) {
+  const chunk = Buffer.alloc(12 + data.length);
+  chunk.writeUInt32BE(data.length, 0);
+  chunk.write(type, 4, "latin1");
+  data.copy(chunk, 8);
+  chunk.writeUInt32BE(
+    crc32(chunk.subarray(4, 8 + data.length)),
+    8 + data.length,
+  );
+  return chunk;
+}
+
+/**
+ * WebpStripper Class
+ * Drops the EXIF and XMP chunks of extended (VP8X) WebP files. The RIFF
+ * size sits in the header, so the file is buffered and rewritten at the end.
+ */
+class WebpStripper {
+  constructor() {
+    this.chunks = [];
+    this.stripped = new Set();
+  }
+
+  update(chunk) {
+    this.chunks.push(chunk);
+    return [];
+  }
+
+  finish() {
+    const buffer = Buffer.concat(this.chunks);
+    this.chunks = [];
+
+    if (
+      buffer.length < 12 ||
+      buffer.toString("latin1", 0, 4) !== "RIFF" ||
+      buffer.toString("latin1", 8, 12) !== "WEBP"
+    ) {
+      throw new Error("Malformed WebP - bad RIFF header");
+    }
+
+    const riffEnd = Math.min(buffer.length, 8 + buffer.readUInt32LE(4));
+    const chunks = [];
+    let offset = 12;
+
+    while (offset + 8 <= riffEnd) {
+      const size = buffer.readUInt32LE(offset + 4);
+      const end = offset + 8 + size + (size & 1);
+      if (offset + 8 + size > riffEnd) {
+        throw new Error("Malformed WebP - truncated chunk");
+      }
+      chunks.push({
+        fourcc: buffer.toString("latin1", offset, offset + 4),
+        bytes: buffer.subarray(offset, Math.min(end, riffEnd)),
+      });
+      offset = end;
+    }
+
+    if (!chunks.some(({ fourcc }) => fourcc === "EXIF" || fourcc === "XMP ")) {
+      return [buffer];
+    }
+
+    let exif = null;
+    const kept = chunks.filter(({ fourcc, bytes }) => {
+      if (fourcc === "XMP ") {
+        this.stripped.add("XMP");
+        return false;
+      }
+      if (fourcc === "EXIF") {
+        // Some writers keep the JPEG-style "Exif\0\0" prefix
+        let tiff = bytes.subarray(8, 8 + bytes.readUInt32LE(4));
+        if (tiff.subarray(0, 6).equals(JPEG_EXIF_HEADER))
+          tiff = tiff.subarray(6);
+        exif = replaceExif(tiff, this.stripped);
+        return false;
+      }
+      return true;
+    });
+
+    const parts = kept.map(({ fourcc, bytes }) => {
+      if (fourcc !== "VP8X") return bytes;
+
+      const header = Buffer.from(bytes);
+      header[8] &= ~(WEBP_EXIF_FLAG | WEBP_XMP_FLAG);
+      if (exif) header[8] |= WEBP_EXIF_FLAG;
+      return header;
+    });
+
+    if (exif) {
+      const chunk = Buffer.alloc(8 + exif.length);
+      chunk.write("EXIF", 0, "latin1");
+      chunk.writeUInt32LE(exif.length, 4);
+      exif.copy(chunk, 8);
+      parts.push(chunk);
+    }
+
+    const header = Buffer.alloc(12);
+    header.write("RIFF", 0, "latin1");
+    header.writeUInt32LE(
+      4 + parts.reduce((total, part) => total + part.length, 0),
+      4,
+    );
+    header.write("WEBP", 8, "latin1");
+
+    return [header, ...parts];
+  }
+}
+
+const STRIPPERS = {
+  "image/jpeg": JpegStripper,
+  "image/png": PngStripper,
+  "image/webp": WebpStripper,
+};
+
+/**
+ * Creates a metadata stripper for a MIME type
+ * @returns {Object|null} Stripper, or null if the type has nothing to strip
+ */
+export function createMetadataStripper(mimetype) {
+  const Stripper = STRIPPERS[canonicalMimeType(mimetype)];
+  return Stripper ? new Stripper() : null;
+}
+
+/**
+ * Strips metadata from a file that's already in memory
+ * @returns {Object} { buffer, stripped } - stripped is null if the type
+ *   has no stripper
+ */
+export function stripMetadata(buffer, mimetype) {
+  const stripper = createMetadataStripper(mimetype);
+  if (!stripper) return { buffer, stripped: null };
+
+  const output = [...stripper.update(buffer), ...stripper.finish()];
+  return {
+    buffer: Buffer.concat(output),
+    stripped: Array.from(stripper.stripped),
+  };
+}
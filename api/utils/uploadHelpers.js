@@ -1,7 +1,29 @@
 // utils/uploadHelpers.js
-import { S3Client, PutObjectCommand } from "@aws-sdk/client-s3";
-import fs from "fs";
-import crypto from "crypto";
+import {
+  S3Client,
+  CopyObjectCommand,
+  HeadObjectCommand,
+} from "@aws-sdk/client-s3";
+import { Upload } from "@aws-sdk/lib-storage";
+import {
+  ALLOWED_MIME_TYPES,
+  MAX_FILE_SIZE,
+  canonicalMimeType,
+  findFileType,
+  getExtension,
+  matchesFileType,
+  maxSizeFor,
+} from "../../shared/fileTypes.js";
+import { getSanitizer } from "./sanitize.js";
+import { getKeyTemplate, getPrivatePrefix } from "./objectKeys.js";
+import { getUsageFailureMode } from "./usage.js";
+import {
+  buildPublicUrl,
+  buildPublicUrls,
+  getPublicUrlConfig,
+} from "./publicUrls.js";
+
+export { ALLOWED_MIME_TYPES, MAX_FILE_SIZE, buildPublicUrl, buildPublicUrls };
 
 /**
  * Initialize S3 Client for S3-compatible storage
@@ -10,6 +32,9 @@ export const s3 = new S3Client({
   region: process.env.S3_REGION || "us-east-1",
   endpoint: process.env.S3_ENDPOINT,
   forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+  // Only send checksums when an operation requires them; otherwise presigned
+  // PUT URLs carry a checksum of an empty body and every upload fails
+  requestChecksumCalculation: "WHEN_REQUIRED",
   credentials: {
     accessKeyId: process.env.S3_ACCESS_KEY_ID,
     secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
@@ -17,84 +42,104 @@ export const s3 = new S3Client({
 });
 
 /**
- * File type security configuration
+ * Upload size limits
+ * Anonymous web uploads stay small (MAX_FILE_SIZE, shared with the
+ * frontend); authenticated API callers get more room
  */
-export const ALLOWED_MIME_TYPES = [
-  "image/jpeg",
-  "image/jpg",
-  "image/png",
-  "image/gif",
-  "image/webp",
-  // Markdown / text
-  "text/markdown",
-  "text/x-markdown",
-];
+export const API_MAX_FILE_SIZE =
+  parseInt(process.env.API_MAX_FILE_SIZE || "0") || 100 * 1024 * 1024;
 
 /**
- * Magic numbers for file type validation
+ * Batch upload limits for /api/v1/upload
+ * The batch size caps the combined size of every file in one request
  */
-export const MAGIC_NUMBERS = {
-  "image/jpeg": [0xff, 0xd8, 0xff],
-  "image/png": [0x89, 0x50, 0x4e, 0x47],
-  "image/gif": [0x47, 0x49, 0x46],
-  "image/webp": [0x52, 0x49, 0x46, 0x46],
-  // No fixed magic number for markdown/text files. Use null to indicate
-  // fallback text validation (printable / UTF-8-like bytes).
-  "text/markdown": null,
-  "text/x-markdown": null,
-};
+export const API_MAX_FILES = parseInt(process.env.API_MAX_FILES || "0") || 20;
+export const API_MAX_BATCH_SIZE =
+  parseInt(process.env.API_MAX_BATCH_SIZE || "0") || 200 * 1024 * 1024;
 
-export function validateFileType(buffer, mimetype) {
-  for (const [type, signature] of Object.entries(MAGIC_NUMBERS)) {
-    if (
-      type === mimetype ||
-      (type === "image/jpeg" && mimetype === "image/jpg")
-    ) {
-      // If signature is null or empty, treat this as a text-type check.
-      if (!signature || signature.length === 0) {
-        // Basic heuristic: ensure the sample contains mostly printable
-        // characters, allows common whitespace (CR/LF/TAB), and no NULs.
-        if (!buffer || buffer.length === 0) return false;
-        let nonPrintable = 0;
-        for (let i = 0; i < buffer.length; i++) {
-          const byte = buffer[i];
-          if (byte === 0) return false; // definitely binary
-          // allow TAB(9), LF(10), CR(13)
-          if (byte < 32 && byte !== 9 && byte !== 10 && byte !== 13) {
-            nonPrintable++;
-          }
-        }
-        // If more than 30% of the sample is non-printable, reject.
-        if (nonPrintable / buffer.length > 0.3) return false;
-        return true;
-      }
+/**
+ * Lifetime of presigned direct-to-bucket upload URLs, in seconds
+ */
+export const PRESIGN_EXPIRES_IN =
+  parseInt(process.env.PRESIGN_EXPIRES_IN || "0") || 300;
 
-      const matches = signature.every((byte, index) => buffer[index] === byte);
-      if (matches) return true;
-    }
-  }
-  return false;
-}
+/**
+ * How long after its URL expires a presigned upload can still be
+ * finalized, in seconds - the sweep deletes it after that
+ */
+export const PRESIGN_FINALIZE_WINDOW =
+  parseInt(process.env.PRESIGN_FINALIZE_WINDOW || "0") || 60 * 60;
 
-export async function validateFile(file) {
-  const buffer = fs.readFileSync(file.filepath);
-  const firstBytes = buffer.slice(0, 12);
+/**
+ * Lifetime of presigned download links for private uploads, in seconds -
+ * the default, and the most a caller can ask for. SigV4 links can't
+ * outlive 7 days whatever is configured.
+ */
+export const PRIVATE_LINK_MAX_EXPIRES_IN = Math.min(
+  parseInt(process.env.PRIVATE_LINK_MAX_EXPIRES_IN || "0") || 7 * 24 * 60 * 60,
+  7 * 24 * 60 * 60,
+);
+export const PRIVATE_LINK_EXPIRES_IN = Math.min(
+  parseInt(process.env.PRIVATE_LINK_EXPIRES_IN || "0") || 60 * 60,
+  PRIVATE_LINK_MAX_EXPIRES_IN,
+);
+
+/**
+ * Multipart upload configuration
+ * Files larger than one part are sent as an S3 multipart upload
+ */
+export const MULTIPART_PART_SIZE = Math.max(
+  parseInt(process.env.S3_MULTIPART_PART_SIZE || "0") || 8 * 1024 * 1024,
+  5 * 1024 * 1024, // S3 rejects parts smaller than 5MB
+);
+export const MULTIPART_QUEUE_SIZE =
+  parseInt(process.env.S3_MULTIPART_QUEUE_SIZE || "0") || 4;
 
-  if (buffer.length === 0) {
+/**
+ * Checks a file's leading bytes against the registry entry for its MIME type
+ */
+export function validateFileType(buffer, mimetype) {
+  const type = findFileType(mimetype);
+  return type !== null && matchesFileType(type, buffer);
+}
+
+/**
+ * Validates the head of a file along with its total size
+ * Shared by buffered uploads and objects that are already in the bucket
+ * @param {Buffer} head - First bytes of the file (up to 1KB is scanned)
+ * @param {Object} options - { size, mimetype, maxSize }
+ */
+export function validateFileContent(
+  head,
+  { size, mimetype, maxSize = MAX_FILE_SIZE },
+) {
+  if (size === 0) {
     throw new Error("Empty file not allowed");
   }
 
-  if (!validateFileType(firstBytes, file.mimetype)) {
+  if (!validateFileType(head, mimetype)) {
     throw new Error(
       "File type validation failed - file content doesn't match extension",
     );
   }
 
-  if (buffer.length > 10 * 1024 * 1024) {
+  if (size > maxSizeFor(findFileType(mimetype), maxSize)) {
     throw new Error("File too large");
   }
 
-  // Scan for suspicious content
+  // Types that get sanitized are cleaned up properly instead of being
+  // judged by a string scan of their first 1KB
+  if (!getSanitizer(mimetype)) {
+    scanForSuspiciousContent(head);
+  }
+
+  return true;
+}
+
+/**
+ * Scans the first 1KB of a file for script and markup injection
+ */
+export function scanForSuspiciousContent(head) {
   const suspicious = [
     "<script",
     "<?php",
@@ -102,54 +147,187 @@ export async function validateFile(file) {
     "javascript:",
     "data:text/html",
   ];
-  const fileContent = buffer.toString("utf8", 0, Math.min(buffer.length, 1024));
+  const fileContent = head.toString("utf8", 0, Math.min(head.length, 1024));
   for (const pattern of suspicious) {
     if (fileContent.toLowerCase().includes(pattern)) {
       throw new Error("Suspicious file content detected");
     }
   }
+}
 
-  return true;
+/**
+ * Validates a file held in memory (file.buffer)
+ */
+export async function validateFile(file, { maxSize = MAX_FILE_SIZE } = {}) {
+  return validateFileContent(file.buffer.subarray(0, 1024), {
+    size: file.buffer.length,
+    mimetype: file.mimetype,
+    maxSize,
+  });
 }
 
+/**
+ * Checks a file's extension against the registry entry for its MIME type
+ * @returns {string} The extension, lowercased
+ */
 export function validateFileExtension(file) {
-  const fileExtension = file.originalFilename.split(".").pop().toLowerCase();
-  const validExtensions = {
-    "image/jpeg": ["jpg", "jpeg"],
-    "image/png": ["png"],
-    "image/gif": ["gif"],
-    "image/webp": ["webp"],
-    "text/markdown": ["md", "markdown"],
-    "text/x-markdown": ["md", "markdown"],
-  };
+  const fileExtension = getExtension(file.originalFilename);
 
-  if (!validExtensions[file.mimetype]?.includes(fileExtension)) {
+  if (!findFileType(file.mimetype)?.extensions.includes(fileExtension)) {
     throw new Error("File extension doesn't match content type");
   }
 
   return fileExtension;
 }
 
-export async function uploadToR2(file, filename, clientIP = "api") {
-  const fileBuffer = fs.readFileSync(file.filepath);
+/**
+ * Uploads a file to the bucket through lib-storage, which sends a single
+ * PutObject for small files and a multipart upload for anything larger
+ * than one part. A failed multipart upload is aborted so no orphaned
+ * parts are left behind.
+ *
+ * The file body is a stream (file.stream) or a buffer (file.buffer).
+ * Streamed files have no known size up front, so their size is only
+ * available as the object's Content-Length.
+ *
+ * options.source overrides the recorded upload source (e.g. "api:<key name>")
+ * and options.metadata is merged into the object's custom metadata.
+ */
+export async function uploadToR2(
+  file,
+  filename,
+  clientIP = "api",
+  options = {},
+) {
+  const {
+    partSize = MULTIPART_PART_SIZE,
+    queueSize = MULTIPART_QUEUE_SIZE,
+    source = clientIP === "api" ? "api" : "web",
+    metadata = {},
+  } = options;
+  const body = file.stream || file.buffer;
 
-  await s3.send(
-    new PutObjectCommand({
+  const upload = new Upload({
+    client: s3,
+    params: {
       Bucket: process.env.S3_BUCKET,
       Key: filename,
-      Body: fileBuffer,
-      ContentType: file.mimetype,
+      Body: body,
+      ContentType: canonicalMimeType(file.mimetype),
       Metadata: {
         "upload-ip": clientIP,
         "upload-time": new Date().toISOString(),
-        "original-name": file.originalFilename.substring(0, 100),
-        "file-size": file.size.toString(),
-        "upload-source": clientIP === "api" ? "api" : "web",
+        "original-name": encodeMetadataValue(
+          file.originalFilename.substring(0, 100),
+        ),
+        ...(file.size !== undefined && { "file-size": file.size.toString() }),
+        "upload-source": source,
+        ...metadata,
       },
+    },
+    partSize,
+    queueSize,
+    leavePartsOnError: false,
+  });
+
+  try {
+    await upload.done();
+  } catch (error) {
+    body.destroy?.();
+    console.error(`Upload of ${filename} failed and was aborted`);
+    throw error;
+  }
+
+  return buildPublicUrl(filename);
+}
+
+/**
+ * HEADs an object
+ * @returns {Object|null} HeadObject response, or null if there's no such object
+ */
+export async function headObject(filename) {
+  try {
+    return await s3.send(
+      new HeadObjectCommand({
+        Bucket: process.env.S3_BUCKET,
+        Key: filename,
+      }),
+    );
+  } catch (headError) {
+    if (headError.$metadata?.httpStatusCode === 404) return null;
+    throw headError;
+  }
+}
+
+/**
+ * Adds entries to the custom metadata of a stored object
+ * S3 metadata can't be edited in place, so the object is copied onto itself
+ * with the merged set - one HeadObject and one CopyObject.
+ */
+export async function updateObjectMetadata(filename, metadata) {
+  const head = await s3.send(
+    new HeadObjectCommand({
+      Bucket: process.env.S3_BUCKET,
+      Key: filename,
+    }),
+  );
+
+  await s3.send(
+    new CopyObjectCommand({
+      Bucket: process.env.S3_BUCKET,
+      Key: filename,
+      CopySource: `${process.env.S3_BUCKET}/${encodeURIComponent(filename)}`,
+      MetadataDirective: "REPLACE",
+      ContentType: head.ContentType,
+      Metadata: { ...head.Metadata, ...metadata },
     }),
   );
+}
+
+/**
+ * Metadata travels as HTTP headers, which only carry ASCII safely, so free
+ * text such as original filenames is stored URI-encoded
+ */
+export function encodeMetadataValue(value) {
+  return encodeURIComponent(value);
+}
 
-  return `${process.env.S3_ENDPOINT}/${process.env.S3_BUCKET}/${filename}`;
+export function decodeMetadataValue(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    // Written before values were encoded
+    return value;
+  }
+}
+
+/**
+ * Turns the custom metadata written by uploadToR2 back into a readable shape
+ * Internal entries such as the deletion token hash are left out
+ * @param {Object} metadata - Metadata map from HeadObject
+ * @returns {Object} { originalName, uploadTime, uploadSource, fileSize,
+ *   uploadIp, variantOf, expiresAt, image }
+ */
+export function readObjectMetadata(metadata = {}) {
+  return {
+    originalName: metadata["original-name"]
+      ? decodeMetadataValue(metadata["original-name"])
+      : null,
+    uploadTime: metadata["upload-time"] || null,
+    uploadSource: metadata["upload-source"] || null,
+    fileSize: metadata["file-size"] ? parseInt(metadata["file-size"]) : null,
+    uploadIp: metadata["upload-ip"] || null,
+    variantOf: metadata["variant-of"] || null,
+    expiresAt: metadata["expires-at"] || null,
+    image: metadata["image-width"]
+      ? {
+          width: parseInt(metadata["image-width"]),
+          height: parseInt(metadata["image-height"]),
+          animated: metadata["image-animated"] === "true",
+          frames: parseInt(metadata["image-frames"]),
+        }
+      : null,
+  };
 }
 
 export function validateEnvironment() {
@@ -169,4 +347,11 @@ export function validateEnvironment() {
       `Missing required environment variables: ${missingVars.join(", ")}`,
     );
   }
+
+  // A bad template, private prefix, public URL or usage setting would
+  // otherwise only show up on the first upload
+  getKeyTemplate();
+  getPrivatePrefix();
+  getPublicUrlConfig();
+  getUsageFailureMode();
 }
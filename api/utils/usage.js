@@ -0,0 +1,678 @@
+// utils/usage.js
+import { getUsageCache } from "./usageCache.js";
+
+// Cloudflare R2 Free Plan limits - these are the monthly quotas
+export const FREE_PLAN_LIMITS = {
+  STORAGE_GB: 10, // 10GB storage limit
+  CLASS_A_OPERATIONS: 1_000_000, // 1M Class A operations (writes/lists)
+  CLASS_B_OPERATIONS: 10_000_000, // 10M Class B operations (reads)
+};
+
+/**
+ * CloudflareAnalytics Class
+ * Handles communication with Cloudflare's GraphQL Analytics API
+ * Uses Global API Key authentication method for reliable access
+ */
+class CloudflareAnalytics {
+  constructor(email, globalApiKey, accountId) {
+    this.email = email; // Cloudflare account email
+    this.globalApiKey = globalApiKey; // Global API key for authentication
+    this.accountId = accountId; // Cloudflare account ID
+    this.endpoint = "https://api.cloudflare.com/client/v4/graphql"; // GraphQL endpoint
+  }
+
+  /**
+   * Fetches R2 operation usage data for the current month
+   * Operations include PUT, GET, LIST, DELETE etc.
+   * @param {string} bucketName - R2 bucket name to filter by (optional)
+   * @param {number} days - Legacy parameter, not used (kept for compatibility)
+   * @returns {Object} GraphQL response data
+   */
+  async getR2OperationsUsage(bucketName, days = 30) {
+    // These variables are defined but not used - left for potential future use
+    const endDate = new Date();
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - days);
+
+    // Calculate first day of current month - this aligns with R2 billing cycle
+    const monthStart = new Date();
+    monthStart.setDate(1); // Set to 1st day of current month
+    monthStart.setHours(0, 0, 0, 0); // Set to midnight for precise start time
+
+    // GraphQL query to fetch R2 operations data
+    // Groups operations by actionType and sums the requests
+    // NOTE: GraphQL doesn't support // comments inside queries
+    const query = `{
+      viewer {
+        accounts(filter: { accountTag: "${this.accountId}" }) {
+          r2OperationsAdaptiveGroups(
+            filter: {
+              datetime_geq: "${monthStart.toISOString()}"
+              ${bucketName ? `, bucketName: "${bucketName}"` : ""}
+            }
+            limit: 9999
+          ) {
+            dimensions {
+              actionType
+            }
+            sum {
+              requests
+            }
+          }
+        }
+      }
+    }`;
+
+    return this.executeGraphQLQuery(query);
+  }
+
+  /**
+   * Fetches R2 storage usage data for the current month
+   * Includes object count, payload size, and metadata size
+   * @param {string} bucketName - R2 bucket name to filter by (optional)
+   * @returns {Object} GraphQL response data
+   */
+  async getR2StorageUsage(bucketName) {
+    // Use first of current month for storage (same as operations for consistency)
+    const monthStart = new Date();
+    monthStart.setDate(1);
+    monthStart.setHours(0, 0, 0, 0);
+
+    // GraphQL query to fetch R2 storage data
+    // Orders by datetime DESC to get the most recent values first
+    // NOTE: GraphQL doesn't support // comments inside queries
+    const query = `{
+      viewer {
+        accounts(filter: { accountTag: "${this.accountId}" }) {
+          r2StorageAdaptiveGroups(
+            limit: 9999
+            filter: {
+              datetime_geq: "${monthStart.toISOString()}"
+              ${bucketName ? `, bucketName: "${bucketName}"` : ""}
+            }
+            orderBy: [datetime_DESC]
+          ) {
+            max {
+              objectCount
+              uploadCount
+              payloadSize
+              metadataSize
+            }
+            dimensions {
+              datetime
+            }
+          }
+        }
+      }
+    }`;
+
+    return this.executeGraphQLQuery(query);
+  }
+
+  /**
+   * Executes a GraphQL query against Cloudflare's API
+   * Uses X-AUTH-EMAIL and X-AUTH-KEY headers for authentication
+   * @param {string} query - GraphQL query string
+   * @returns {Object} Parsed response data
+   * @throws {Error} If request fails or returns errors
+   */
+  async executeGraphQLQuery(query) {
+    try {
+      const response = await fetch(this.endpoint, {
+        method: "POST",
+        headers: {
+          // Global API Key authentication method
+          "X-AUTH-EMAIL": this.email,
+          "X-AUTH-KEY": this.globalApiKey,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ query }),
+        // Uploads wait on this, so a hung API mustn't hold them hostage
+        signal: AbortSignal.timeout(USAGE_FETCH_TIMEOUT_MS),
+      });
+
+      // Check if HTTP request was successful
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(
+          `GraphQL request failed: ${response.status} ${response.statusText} - ${errorText}`,
+        );
+      }
+
+      const result = await response.json();
+
+      // Check if GraphQL returned any errors
+      if (result.errors) {
+        throw new Error(`GraphQL errors: ${JSON.stringify(result.errors)}`);
+      }
+
+      return result.data;
+    } catch (error) {
+      console.error("GraphQL query failed:", error);
+      if (error.name === "TimeoutError") {
+        throw new Error(
+          `GraphQL request timed out after ${USAGE_FETCH_TIMEOUT_MS}ms`,
+        );
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Processes raw operations data from GraphQL response
+   * Categorizes operations into Class A (expensive) and Class B (cheap)
+   * @param {Object} data - Raw GraphQL response data
+   * @returns {Object} Processed operation counts {classA: number, classB: number}
+   */
+  processOperationsData(data) {
+    const accounts = data?.viewer?.accounts;
+    if (!accounts || accounts.length === 0) {
+      return { classA: 0, classB: 0 };
+    }
+
+    const operations = accounts[0].r2OperationsAdaptiveGroups;
+
+    // Class A operations - more expensive, lower limits
+    // These are write, delete, and list operations
+    const classA = [
+      "ListBuckets", // List all buckets
+      "PutBucket", // Create bucket
+      "ListObjects", // List objects in bucket
+      "PutObject", // Upload/write object
+      "CopyObject", // Copy object
+      "CompleteMultipartUpload", // Finish multipart upload
+      "CreateMultipartUpload", // Start multipart upload
+      "ListMultipartUploads", // List ongoing multipart uploads
+      "UploadPart", // Upload part of multipart
+      "UploadPartCopy", // Copy part in multipart
+      "ListParts", // List parts of multipart
+      "PutBucketEncryption", // Set bucket encryption
+      "PutBucketCors", // Set bucket CORS
+      "PutBucketLifecycleConfiguration", // Set lifecycle rules
+      "DeleteObject", // Delete object
+    ];
+
+    // Class B operations - cheaper, higher limits
+    // These are read and metadata operations
+    const classB = [
+      "HeadBucket", // Check if bucket exists
+      "HeadObject", // Get object metadata
+      "GetObject", // Download/read object
+      "UsageSummary", // Get usage statistics
+      "GetBucketEncryption", // Get bucket encryption settings
+      "GetBucketLocation", // Get bucket location
+      "GetBucketCors", // Get bucket CORS settings
+      "GetBucketLifecycleConfiguration", // Get lifecycle configuration
+    ];
+
+    // Initialize counters
+    const operationCounts = {
+      classA: 0,
+      classB: 0,
+    };
+
+    // Process each operation and categorize it
+    operations.forEach((op) => {
+      const actionType = op.dimensions.actionType;
+      const requests = op.sum.requests || 0;
+
+      if (classA.includes(actionType)) {
+        operationCounts.classA += requests;
+      } else if (classB.includes(actionType)) {
+        operationCounts.classB += requests;
+      }
+      // Note: Unknown operation types are ignored
+    });
+
+    return operationCounts;
+  }
+
+  /**
+   * Processes raw storage data from GraphQL response
+   * Extracts the most recent storage metrics
+   * @param {Object} data - Raw GraphQL response data
+   * @returns {Object} Processed storage data
+   */
+  processStorageData(data) {
+    const accounts = data?.viewer?.accounts;
+    if (!accounts || accounts.length === 0) {
+      return { totalBytes: 0, objectCount: 0 };
+    }
+
+    const storageGroups = accounts[0].r2StorageAdaptiveGroups;
+
+    if (!storageGroups || storageGroups.length === 0) {
+      return { totalBytes: 0, objectCount: 0 };
+    }
+
+    // Get the most recent data point (ordered by datetime DESC)
+    // This gives us the current storage state
+    const latestData = storageGroups[0];
+    const payloadSize = latestData.max.payloadSize || 0; // Actual file content
+    const metadataSize = latestData.max.metadataSize || 0; // Object metadata
+    const objectCount = latestData.max.objectCount || 0; // Number of files
+
+    return {
+      totalBytes: payloadSize + metadataSize, // Combined storage usage
+      objectCount: objectCount,
+      payloadSize: payloadSize,
+      metadataSize: metadataSize,
+      datetime: latestData.dimensions.datetime,
+    };
+  }
+}
+
+/**
+ * Main function to get comprehensive R2 usage data
+ * Fetches both operations and storage data in parallel
+ * @returns {Object} Complete usage data with error handling
+ */
+async function getR2Usage() {
+  try {
+    // Load configuration from environment variables
+    const email = process.env.CLOUDFLARE_EMAIL;
+    const globalApiKey = process.env.CLOUDFLARE_GLOBAL_API_KEY;
+    const accountId = process.env.CLOUDFLARE_ACCOUNT_ID;
+    const bucketName = process.env.CLOUDFLARE_BUCKET_NAME;
+
+    // Validate required configuration
+    if (!email || !globalApiKey || !accountId) {
+      console.warn("Missing Cloudflare configuration");
+      return {
+        storageBytes: 0,
+        classAOperations: 0,
+        classBOperations: 0,
+        error: "Missing configuration: email, global API key, or account ID",
+      };
+    }
+
+    console.log(
+      "Fetching usage from Cloudflare GraphQL Analytics API (Global API Key method)",
+    );
+
+    // Initialize analytics client
+    const analytics = new CloudflareAnalytics(email, globalApiKey, accountId);
+
+    // Fetch both operations and storage data simultaneously for better performance
+    const [operationsData, storageData] = await Promise.all([
+      analytics.getR2OperationsUsage(bucketName), // Current month operations
+      analytics.getR2StorageUsage(bucketName), // Current month storage
+    ]);
+
+    // Process the raw data into usable format
+    const operations = analytics.processOperationsData(operationsData);
+    const storage = analytics.processStorageData(storageData);
+
+    console.log("Usage data from Cloudflare Analytics:", {
+      operations,
+      storage,
+    });
+
+    // Format current month for display (YYYY-MM)
+    const currentMonth = new Date().toISOString().slice(0, 7);
+
+    // Return structured usage data
+    return {
+      storageBytes: storage.totalBytes,
+      objectCount: storage.objectCount,
+      classAOperations: operations.classA,
+      classBOperations: operations.classB,
+      lastUpdated: new Date().toISOString(),
+      period: `Current month (${currentMonth})`,
+      storageDetails: {
+        payloadSize: storage.payloadSize,
+        metadataSize: storage.metadataSize,
+        lastDataPoint: storage.datetime,
+      },
+    };
+  } catch (error) {
+    console.error("Error fetching usage from Cloudflare Analytics:", error);
+    // Return safe fallback data on error to prevent app crashes
+    return {
+      storageBytes: 0,
+      objectCount: 0,
+      classAOperations: 0,
+      classBOperations: 0,
+      error: error.message,
+      lastUpdated: new Date().toISOString(),
+    };
+  }
+}
+
+/**
+ * Usage thresholds, as a percentage of the free plan
+ * Uploads are refused from USAGE_BLOCK_THRESHOLD on, so the bucket never
+ * gets close to being billed; warnings start at USAGE_WARNING_THRESHOLD
+ */
+export const USAGE_WARNING_THRESHOLD = 80;
+export const USAGE_BLOCK_THRESHOLD =
+  parseFloat(process.env.USAGE_BLOCK_THRESHOLD || "0") || 50;
+
+/**
+ * What to do when Cloudflare Analytics can't be reached - "open" lets
+ * uploads through unchecked, "closed" refuses them until usage is known
+ */
+export const USAGE_FAILURE_MODES = ["open", "closed"];
+
+/**
+ * How long a computed report is reused, in seconds - fresh for
+ * USAGE_CACHE_TTL, then served for another USAGE_CACHE_STALE while it's
+ * refreshed in the background
+ */
+export const USAGE_CACHE_TTL =
+  parseInt(process.env.USAGE_CACHE_TTL || "0") || 5 * 60;
+export const USAGE_CACHE_STALE =
+  parseInt(process.env.USAGE_CACHE_STALE || "0") || 60 * 60;
+
+/**
+ * How long a failed report is reused, in seconds - an outage then costs one
+ * fetch per instance every USAGE_ERROR_CACHE_TTL instead of one per upload
+ */
+export const USAGE_ERROR_CACHE_TTL =
+  parseInt(process.env.USAGE_ERROR_CACHE_TTL || "0") || 30;
+
+/**
+ * How long a GraphQL query gets before it counts as an outage
+ */
+export const USAGE_FETCH_TIMEOUT_MS =
+  parseInt(process.env.USAGE_FETCH_TIMEOUT_MS || "0") || 5000;
+
+const REQUIRED_ANALYTICS_VARS = [
+  "CLOUDFLARE_EMAIL",
+  "CLOUDFLARE_GLOBAL_API_KEY",
+  "CLOUDFLARE_ACCOUNT_ID",
+];
+
+/**
+ * Returns the configured analytics failure mode
+ * @throws {Error} If USAGE_FAILURE_MODE isn't "open" or "closed"
+ */
+export function getUsageFailureMode() {
+  const mode = process.env.USAGE_FAILURE_MODE || "open";
+  if (!USAGE_FAILURE_MODES.includes(mode)) {
+    throw new Error(
+      `USAGE_FAILURE_MODE has to be one of ${USAGE_FAILURE_MODES.join(", ")}`,
+    );
+  }
+  return mode;
+}
+
+function percentageOf(value, limit) {
+  return (value / limit) * 100;
+}
+
+/**
+ * Names the free plan limits an upload of incomingBytes would take past
+ * USAGE_BLOCK_THRESHOLD - it also costs at least one Class A operation
+ * @param {Object} usage - usage from getUsageReport
+ * @param {number} incomingBytes - Size of the upload, 0 if unknown
+ * @returns {Array} Any of "storage", "classA" and "classB"
+ */
+export function exceededLimits(usage, incomingBytes = 0) {
+  const projected = {
+    storage: percentageOf(
+      usage.storage.currentBytes + incomingBytes,
+      FREE_PLAN_LIMITS.STORAGE_GB * 1024 * 1024 * 1024,
+    ),
+    classA: percentageOf(
+      usage.classA.currentValue + (incomingBytes > 0 ? 1 : 0),
+      FREE_PLAN_LIMITS.CLASS_A_OPERATIONS,
+    ),
+    classB: usage.classB.percentage,
+  };
+
+  return Object.keys(projected).filter(
+    (limit) => projected[limit] >= USAGE_BLOCK_THRESHOLD,
+  );
+}
+
+/**
+ * Fetches current usage and measures it against the free plan
+ * @returns {Object} { usage, raw, missingVars } where usage is the shape
+ *   /api/usage answers with, raw is what getR2Usage returned (null when
+ *   analytics aren't configured) and missingVars lists what's missing
+ */
+export async function getUsageReport() {
+  const missingVars = REQUIRED_ANALYTICS_VARS.filter(
+    (varName) => !process.env[varName],
+  );
+
+  // Without analytics there's nothing to measure - uploads aren't blocked
+  if (missingVars.length > 0) {
+    console.warn("Missing Cloudflare configuration:", missingVars);
+    return {
+      usage: {
+        storage: {
+          currentGB: 0,
+          currentBytes: 0,
+          objectCount: 0,
+          limit: FREE_PLAN_LIMITS.STORAGE_GB,
+          percentage: 0,
+        },
+        classA: {
+          currentValue: 0,
+          limit: FREE_PLAN_LIMITS.CLASS_A_OPERATIONS,
+          percentage: 0,
+        },
+        classB: {
+          currentValue: 0,
+          limit: FREE_PLAN_LIMITS.CLASS_B_OPERATIONS,
+          percentage: 0,
+        },
+        warnings: [
+          `Configuration incomplete: missing ${missingVars.join(", ")}`,
+        ],
+        shouldBlockUploads: false,
+        lastUpdated: new Date().toISOString(),
+        period: "Configuration incomplete",
+      },
+      raw: null,
+      missingVars,
+    };
+  }
+
+  // Fetch current usage data
+  const currentUsage = await getR2Usage();
+
+  // Convert raw bytes to GB for storage calculation
+  const storageGB = currentUsage.storageBytes / (1024 * 1024 * 1024);
+
+  // Calculate percentage usage for each limit
+  const storagePercentage = percentageOf(
+    storageGB,
+    FREE_PLAN_LIMITS.STORAGE_GB,
+  );
+  const classAPercentage = percentageOf(
+    currentUsage.classAOperations,
+    FREE_PLAN_LIMITS.CLASS_A_OPERATIONS,
+  );
+  const classBPercentage = percentageOf(
+    currentUsage.classBOperations,
+    FREE_PLAN_LIMITS.CLASS_B_OPERATIONS,
+  );
+
+  // Generate warnings for high usage
+  const warnings = [];
+  if (storagePercentage >= USAGE_WARNING_THRESHOLD) {
+    warnings.push(`Storage usage is at ${storagePercentage.toFixed(1)}%`);
+  }
+  if (classAPercentage >= USAGE_WARNING_THRESHOLD) {
+    warnings.push(`Class A operations at ${classAPercentage.toFixed(1)}%`);
+  }
+  if (classBPercentage >= USAGE_WARNING_THRESHOLD) {
+    warnings.push(`Class B operations at ${classBPercentage.toFixed(1)}%`);
+  }
+
+  // Add configuration warnings if there are errors
+  const failClosed =
+    Boolean(currentUsage.error) && getUsageFailureMode() === "closed";
+  if (currentUsage.error) {
+    warnings.push(`Analytics error: ${currentUsage.error}`);
+  }
+  if (failClosed) {
+    warnings.push("Uploads are blocked until usage can be checked again");
+  }
+
+  const usage = {
+    storage: {
+      currentGB: parseFloat(storageGB.toFixed(3)),
+      currentBytes: currentUsage.storageBytes,
+      objectCount: currentUsage.objectCount,
+      limit: FREE_PLAN_LIMITS.STORAGE_GB,
+      percentage: parseFloat(storagePercentage.toFixed(2)),
+    },
+    classA: {
+      currentValue: currentUsage.classAOperations,
+      limit: FREE_PLAN_LIMITS.CLASS_A_OPERATIONS,
+      percentage: parseFloat(classAPercentage.toFixed(2)),
+    },
+    classB: {
+      currentValue: currentUsage.classBOperations,
+      limit: FREE_PLAN_LIMITS.CLASS_B_OPERATIONS,
+      percentage: parseFloat(classBPercentage.toFixed(2)),
+    },
+    warnings,
+    shouldBlockUploads: false,
+    lastUpdated: currentUsage.lastUpdated,
+    period: currentUsage.period,
+  };
+
+  // An outage reports zeros, which mustn't read as "plenty left"
+  usage.shouldBlockUploads =
+    failClosed || (!currentUsage.error && exceededLimits(usage).length > 0);
+
+  return { usage, raw: currentUsage, missingVars };
+}
+
+let refreshing = null;
+
+// The last failed report, kept out of the shared cache so it never replaces
+// a good one - { report, fetchedAt } or null
+let lastFailure = null;
+
+/**
+ * Fetches a new report and caches it - concurrent callers share one fetch
+ * @returns {Object} getUsageReport's result
+ */
+function refreshUsageReport() {
+  if (!refreshing) {
+    refreshing = (async () => {
+      const report = await getUsageReport();
+
+      // An outage's zeros or a missing configuration aren't worth keeping
+      // for long
+      if (report.raw?.error) {
+        lastFailure = { report, fetchedAt: Date.now() };
+      } else if (report.raw) {
+        lastFailure = null;
+        await getUsageCache()
+          .write({ report, fetchedAt: Date.now() })
+          .catch((writeError) =>
+            console.warn(`Usage cache write failed: ${writeError.message}`),
+          );
+      }
+      return report;
+    })().finally(() => {
+      refreshing = null;
+    });
+  }
+  return refreshing;
+}
+
+/**
+ * getUsageReport behind the usage cache, stale-while-revalidate
+ * @param {Object} options - { fresh, allowStale } where fresh skips the
+ *   cache and allowStale: false waits for a refresh instead of answering
+ *   with a report older than USAGE_CACHE_TTL
+ * @returns {Object} getUsageReport's { usage, raw, missingVars } plus
+ *   cache: { status, age } where status is "hit", "stale", "miss" or
+ *   "bypass" and age is how old the report is in seconds
+ */
+export async function getCachedUsageReport({
+  fresh = false,
+  allowStale = true,
+} = {}) {
+  const cached = fresh
+    ? null
+    : await getUsageCache()
+        .read()
+        .catch((readError) => {
+          console.warn(`Usage cache read failed: ${readError.message}`);
+          return null;
+        });
+  const age = cached && Math.floor((Date.now() - cached.fetchedAt) / 1000);
+
+  if (cached && age < USAGE_CACHE_TTL) {
+    return { ...cached.report, cache: { status: "hit", age } };
+  }
+
+  if (allowStale && cached && age < USAGE_CACHE_TTL + USAGE_CACHE_STALE) {
+    // Not awaited - a function frozen after responding finishes the
+    // refresh when it wakes up, and the next caller starts one anyway
+    refreshUsageReport().catch((refreshError) =>
+      console.warn(`Usage refresh failed: ${refreshError.message}`),
+    );
+    return { ...cached.report, cache: { status: "stale", age } };
+  }
+
+  // Don't ask an API that just failed again on every upload
+  const failedAge =
+    lastFailure && Math.floor((Date.now() - lastFailure.fetchedAt) / 1000);
+  if (!fresh && lastFailure && failedAge < USAGE_ERROR_CACHE_TTL) {
+    return { ...lastFailure.report, cache: { status: "hit", age: failedAge } };
+  }
+
+  const report = await refreshUsageReport();
+  return { ...report, cache: { status: fresh ? "bypass" : "miss", age: 0 } };
+}
+
+/**
+ * Human-readable usage breakdown for upload responses, e.g.
+ * { storage: "0.512 of 10 GB (5.12%)", classA: ..., classB: ... }
+ */
+export function summarizeUsage(usage) {
+  return {
+    storage: `${usage.storage.currentGB} of ${usage.storage.limit} GB (${usage.storage.percentage}%)`,
+    classA: `${usage.classA.currentValue} of ${usage.classA.limit} operations (${usage.classA.percentage}%)`,
+    classB: `${usage.classB.currentValue} of ${usage.classB.limit} operations (${usage.classB.percentage}%)`,
+  };
+}
+
+/**
+ * Decides whether an upload may be written, before any of it is
+ * Never decided on a stale report - a background refresh may not outlive
+ * the response, so uploads could carry on long after the limit tripped
+ * @param {Object} options - { incomingBytes } the size of the upload, if
+ *   known
+ * @returns {Object} { allowed, message, usage } where usage is the
+ *   summarizeUsage breakdown to answer with, null if analytics are down
+ */
+export async function checkUploadUsage({ incomingBytes = 0 } = {}) {
+  const { usage, raw } = await getCachedUsageReport({ allowStale: false });
+
+  // The zeros an outage reports aren't worth showing anyone
+  if (raw?.error) {
+    if (getUsageFailureMode() === "closed") {
+      return {
+        allowed: false,
+        message:
+          "Usage analytics are unavailable and uploads are held until they're back",
+        usage: null,
+      };
+    }
+    console.warn(`Usage check skipped, analytics failed: ${raw.error}`);
+    return { allowed: true, usage: null };
+  }
+
+  const summary = summarizeUsage(usage);
+  const exceeded = exceededLimits(usage, incomingBytes);
+  if (exceeded.length > 0) {
+    return {
+      allowed: false,
+      message: `Upload would take ${exceeded.join(", ")} past ${USAGE_BLOCK_THRESHOLD}% of the free plan`,
+      usage: summary,
+    };
+  }
+
+  return { allowed: true, usage: summary };
+}
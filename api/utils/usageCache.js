@@ -0,0 +1,94 @@
+// utils/usageCache.js
+import { GetObjectCommand, PutObjectCommand } from "@aws-sdk/client-s3";
+import { s3 } from "./uploadHelpers.js";
+import { getInternalPrefix } from "./objectKeys.js";
+
+/**
+ * Usage caches
+ * Both hold a single snapshot of the computed usage report and implement
+ * the same async interface:
+ *   read() - the last snapshot, { report, fetchedAt } or null
+ *   write(snapshot) - replaces it
+ * Freshness is decided by the caller - a cache just remembers.
+ */
+
+/**
+ * MemoryUsageCache Class
+ * Per-instance cache - every cold start fetches from Cloudflare again
+ */
+export class MemoryUsageCache {
+  constructor() {
+    this.snapshot = null;
+  }
+
+  async read() {
+    return this.snapshot;
+  }
+
+  async write(snapshot) {
+    this.snapshot = snapshot;
+  }
+}
+
+/**
+ * BucketUsageCache Class
+ * Keeps the snapshot as a JSON object in the bucket, so every instance
+ * shares it and it survives cold starts. Reading it is one Class B
+ * operation, far cheaper than two GraphQL queries.
+ */
+export class BucketUsageCache {
+  constructor(key) {
+    this.key = key;
+  }
+
+  async read() {
+    try {
+      const { Body } = await s3.send(
+        new GetObjectCommand({
+          Bucket: process.env.S3_BUCKET,
+          Key: this.key,
+        }),
+      );
+      return JSON.parse(await Body.transformToString());
+    } catch (readError) {
+      // Nothing cached yet
+      if (readError.$metadata?.httpStatusCode === 404) return null;
+      throw readError;
+    }
+  }
+
+  async write(snapshot) {
+    await s3.send(
+      new PutObjectCommand({
+        Bucket: process.env.S3_BUCKET,
+        Key: this.key,
+        Body: JSON.stringify(snapshot),
+        ContentType: "application/json",
+      }),
+    );
+  }
+}
+
+let cache = null;
+
+/**
+ * Returns the configured usage cache, creating it on first use
+ * USAGE_CACHE_STORE picks the backend: "memory" (default) or "bucket",
+ * which keeps the snapshot under the internal prefix, out of reach of the
+ * API
+ */
+export function getUsageCache() {
+  if (cache) return cache;
+
+  const backend = process.env.USAGE_CACHE_STORE || "memory";
+
+  if (backend === "bucket") {
+    cache = new BucketUsageCache(`${getInternalPrefix()}usage-snapshot.json`);
+  } else if (backend === "memory") {
+    cache = new MemoryUsageCache();
+  } else {
+    throw new Error(`Unknown USAGE_CACHE_STORE: ${backend}`);
+  }
+
+  return cache;
+}
@@ -0,0 +1,223 @@
+// utils/variants.js
+import sharp from "sharp";
+import { DeleteObjectCommand } from "@aws-sdk/client-s3";
+import { canonicalMimeType } from "../../shared/fileTypes.js";
+import {
+  s3,
+  buildPublicUrl,
+  buildPublicUrls,
+  headObject,
+  readObjectMetadata,
+  uploadToR2,
+} from "./uploadHelpers.js";
+import { imageInfoMetadata } from "./imageInfo.js";
+import { expiryMetadata } from "./expiry.js";
+
+/**
+ * Resized WebP copies generated for image uploads
+ * Each one is stored next to the original as <name>.<variant>.webp, so
+ * 3f2a8b9c.jpg gets 3f2a8b9c.thumbnail.webp and friends. Images are never
+ * enlarged - a variant wider than the original just keeps its size.
+ */
+export const IMAGE_VARIANTS = [
+  { name: "thumbnail", width: 160, height: 160, fit: "cover" },
+  { name: "small", width: 480 },
+  { name: "medium", width: 1024 },
+];
+
+/**
+ * Types sharp can decode out of the box - HEIC needs a codec that isn't
+ * bundled, and SVGs scale fine on their own
+ */
+const VARIANT_SOURCE_TYPES = [
+  "image/jpeg",
+  "image/png",
+  "image/gif",
+  "image/webp",
+  "image/avif",
+];
+
+/**
+ * Largest original variants are made from - decoding takes far more memory
+ * than the file itself, so bigger images are stored without variants
+ */
+export const VARIANT_MAX_SOURCE_SIZE =
+  parseInt(process.env.VARIANT_MAX_SOURCE_SIZE || "0") || 25 * 1024 * 1024;
+
+/**
+ * Largest image, in pixels, variants are made from - a small file can still
+ * decode to a huge bitmap, and the function only has 1GB to decode it in
+ */
+export const VARIANT_MAX_PIXELS =
+  parseInt(process.env.VARIANT_MAX_PIXELS || "0") || 40 * 1000 * 1000;
+
+export function supportsVariants(mimetype) {
+  return VARIANT_SOURCE_TYPES.includes(canonicalMimeType(mimetype));
+}
+
+/**
+ * Key a variant of an object is stored under
+ */
+export function variantKey(filename, name) {
+  const base = filename.includes(".")
+    ? filename.slice(0, filename.lastIndexOf("."))
+    : filename;
+  return `${base}.${name}.webp`;
+}
+
+/**
+ * Resizes an image into every variant and stores them next to it
+ * Everything is rendered before anything is uploaded, so an image sharp
+ * can't decode leaves nothing behind.
+ * @param {Buffer} buffer - The stored original
+ * @param {Object} file - { originalFilename } of the original
+ * @param {string} filename - Key of the original
+ * @param {string} clientIP - Passed on to uploadToR2
+ * @param {Object} options - { source, expiresAt } where expiresAt is the
+ *   original's expiry, so the sweep takes its variants too
+ * @returns {Array} [{ name, url, urls, width, height, size }]
+ */
+export async function createVariants(
+  buffer,
+  file,
+  filename,
+  clientIP,
+  { source, expiresAt = null } = {},
+) {
+  // rotate() with no angle applies the EXIF orientation, which the WebP
+  // output doesn't carry over. Reading sequentially keeps sharp from
+  // holding the whole decoded image at once.
+  const image = sharp(buffer, {
+    limitInputPixels: VARIANT_MAX_PIXELS,
+    sequentialRead: true,
+  }).rotate();
+
+  const rendered = await Promise.all(
+    IMAGE_VARIANTS.map(async ({ name, width, height, fit = "inside" }) => {
+      const { data, info } = await image
+        .clone()
+        .resize({ width, height, fit, withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer({ resolveWithObject: true });
+      return { name, data, width: info.width, height: info.height };
+    }),
+  );
+
+  return Promise.all(
+    rendered.map(async ({ name, data, width, height }) => {
+      const key = variantKey(filename, name);
+      const url = await uploadToR2(
+        {
+          originalFilename: file.originalFilename,
+          mimetype: "image/webp",
+          buffer: data,
+          size: data.length,
+        },
+        key,
+        clientIP,
+        {
+          source,
+          metadata: {
+            "variant-of": filename,
+            // Variants are always a single still frame
+            ...imageInfoMetadata({ width, height, animated: false, frames: 1 }),
+            ...expiryMetadata(expiresAt),
+          },
+        },
+      );
+      return {
+        name,
+        url,
+        urls: buildPublicUrls(key),
+        width,
+        height,
+        size: data.length,
+      };
+    }),
+  );
+}
+
+/**
+ * Looks up the variants already stored for an object
+ * @returns {Array|null} Same shape as createVariants, or null if any of
+ *   them is missing
+ */
+export async function findVariants(filename) {
+  const found = await Promise.all(
+    IMAGE_VARIANTS.map(async ({ name }) => {
+      const key = variantKey(filename, name);
+      const head = await headObject(key);
+      const image = head && readObjectMetadata(head.Metadata).image;
+      if (!image) return null;
+
+      return {
+        name,
+        url: buildPublicUrl(key),
+        urls: buildPublicUrls(key),
+        width: image.width,
+        height: image.height,
+        size: head.ContentLength,
+      };
+    }),
+  );
+
+  return found.every(Boolean) ? found : null;
+}
+
+/**
+ * Deletes every variant of an object - variants that were never generated
+ * are simply not there, which S3 doesn't mind
+ */
+export async function deleteVariants(filename) {
+  await Promise.all(
+    IMAGE_VARIANTS.map(({ name }) =>
+      s3.send(
+        new DeleteObjectCommand({
+          Bucket: process.env.S3_BUCKET,
+          Key: variantKey(filename, name),
+        }),
+      ),
+    ),
+  );
+}
+
+/**
+ * Generates variants for an upload that's already stored, so a failure is
+ * reported in the result instead of failing the upload
+ * @param {Buffer|null} buffer - The original, null if it was too large to
+ *   keep a copy of
+ * @param {Object} options - { source, expiresAt, reuse } where reuse looks
+ *   for variants an identical upload already stored before making new ones
+ * @returns {Object} { variants } or { variantsError }, ready to spread into
+ *   an upload result
+ */
+export async function generateVariants(
+  buffer,
+  file,
+  filename,
+  clientIP,
+  { source, expiresAt = null, reuse = false } = {},
+) {
+  try {
+    const existing = reuse && (await findVariants(filename));
+    if (existing) return { variants: existing };
+
+    if (!buffer) {
+      return {
+        variantsError: `Images over ${VARIANT_MAX_SOURCE_SIZE / 1024 / 1024}MB are stored without variants`,
+      };
+    }
+
+    return {
+      variants: await createVariants(buffer, file, filename, clientIP, {
+        source,
+        expiresAt,
+      }),
+    };
+  } catch (variantError) {
+    console.warn(
+      `Variant generation failed for ${filename}: ${variantError.message}`,
+    );
+    return { variantsError: "Variants could not be generated for this image" };
+  }
+}
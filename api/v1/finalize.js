@@ -0,0 +1,246 @@
+// api/v1/finalize.js
+import {
+  HeadObjectCommand,
+  GetObjectCommand,
+  CopyObjectCommand,
+  DeleteObjectCommand,
+} from "@aws-sdk/client-s3";
+import {
+  s3,
+  ALLOWED_MIME_TYPES,
+  API_MAX_FILE_SIZE,
+  validateFileContent,
+  validateFileExtension,
+  validateEnvironment,
+  buildPublicUrl,
+  readObjectMetadata,
+} from "../utils/uploadHelpers.js";
+import { AuthError, authenticateRequest } from "../utils/auth.js";
+import {
+  getInternalPrefix,
+  normalizeFolder,
+  parseExpiringKey,
+} from "../utils/objectKeys.js";
+import { refundPresignedUpload } from "../utils/rateLimit.js";
+import { setApiHeaders } from "../utils/http.js";
+import { isExpired } from "../utils/expiry.js";
+
+/**
+ * Keys handed out by /api/v1/presign - anything else is not ours to finalize
+ */
+const PRESIGNED_KEY_PATTERN =
+  /^[0-9a-f]{8}(-[0-9a-f]{4}){3}-[0-9a-f]{12}\.[a-z0-9]+$/;
+
+/**
+ * Whether a key looks like one presign issued for this API key: a UUID
+ * name, optionally in a valid folder, under the key's prefix
+ */
+function isPresignedKey(apiKey, filename) {
+  if (typeof filename !== "string" || !filename.startsWith(apiKey.prefix)) {
+    return false;
+  }
+
+  const path = filename.slice(apiKey.prefix.length);
+  const slash = path.lastIndexOf("/");
+  const folder = path.slice(0, Math.max(slash, 0));
+  try {
+    if (normalizeFolder(folder) !== folder) return false;
+  } catch {
+    return false;
+  }
+  return PRESIGNED_KEY_PATTERN.test(path.slice(slash + 1));
+}
+
+/**
+ * Works out where a pending upload goes live - presign hands out the key
+ * it's going to have, moved into an expiry folder under the internal prefix
+ * @returns {string|null} Public key, or null if pendingKey isn't one presign
+ *   issued for this API key
+ */
+function promotedKey(apiKey, pendingKey) {
+  const expiring =
+    typeof pendingKey === "string" && parseExpiringKey(pendingKey);
+  if (!expiring || expiring.root !== getInternalPrefix()) return null;
+
+  const filename = expiring.key.slice(expiring.root.length);
+  return isPresignedKey(apiKey, filename) ? filename : null;
+}
+
+/**
+ * Removes a pending upload - finalize either promotes it or throws it away
+ */
+async function deletePending(pendingKey) {
+  await s3.send(
+    new DeleteObjectCommand({
+      Bucket: process.env.S3_BUCKET,
+      Key: pendingKey,
+    }),
+  );
+}
+
+/**
+ * Throws away a pending upload that won't go live, handing the quota
+ * presign reserved for it back to the key
+ */
+async function discardPending(pendingKey, head) {
+  await deletePending(pendingKey);
+  await refundPresignedUpload(pendingKey, head.Metadata);
+}
+
+/**
+ * Moves a checked upload from its pending key to the public one, dropping
+ * the expiry that would have had the sweep clean it up
+ */
+async function promoteUpload(pendingKey, filename, head) {
+  const metadata = { ...head.Metadata };
+  delete metadata["expires-at"];
+
+  await s3.send(
+    new CopyObjectCommand({
+      Bucket: process.env.S3_BUCKET,
+      Key: filename,
+      CopySource: `${process.env.S3_BUCKET}/${encodeURIComponent(pendingKey)}`,
+      MetadataDirective: "REPLACE",
+      ContentType: head.ContentType,
+      Metadata: metadata,
+    }),
+  );
+  await deletePending(pendingKey);
+}
+
+/**
+ * API Route Handler
+ * Verifies an object uploaded through a presigned URL. The object is checked
+ * the same way as a regular upload, then moved from its pending key to the
+ * public one - or deleted if it fails.
+ */
+export default async function handler(req, res) {
+  setApiHeaders(res, ["POST"]);
+
+  // Handle preflight requests
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  try {
+    // Validate environment variables
+    validateEnvironment();
+
+    if (req.method !== "POST") {
+      return res.status(405).json({
+        error: "Method Not Allowed",
+        message: "Only POST requests are supported",
+        supportedMethods: ["POST"],
+      });
+    }
+
+    let apiKey;
+    try {
+      apiKey = await authenticateRequest(req, "upload");
+    } catch (authError) {
+      if (!(authError instanceof AuthError)) throw authError;
+      console.warn(`API finalize authentication failed: ${authError.message}`);
+      return res.status(authError.status).json({
+        error: authError.title,
+        message: authError.message,
+      });
+    }
+
+    const { filename: pendingKey } = req.body || {};
+    const filename = promotedKey(apiKey, pendingKey);
+    if (!filename) {
+      return res.status(400).json({
+        error: "Invalid filename",
+        message: "Please provide the 'filename' returned by /api/v1/presign",
+      });
+    }
+
+    let head = null;
+    try {
+      head = await s3.send(
+        new HeadObjectCommand({
+          Bucket: process.env.S3_BUCKET,
+          Key: pendingKey,
+        }),
+      );
+    } catch (headError) {
+      if (headError.$metadata?.httpStatusCode !== 404) throw headError;
+    }
+
+    // Too late counts as never - the sweep would have had it anyway
+    if (head && isExpired(head.Metadata)) {
+      await discardPending(pendingKey, head);
+      head = null;
+    }
+    if (!head) {
+      return res.status(404).json({
+        error: "Object not found",
+        message:
+          "Nothing is waiting at this presigned URL - it was never uploaded to, already finalized or expired",
+      });
+    }
+
+    const mimetype = head.ContentType;
+    const size = head.ContentLength;
+
+    // Only the first bytes are needed for the magic number and content scan
+    const { Body } = await s3.send(
+      new GetObjectCommand({
+        Bucket: process.env.S3_BUCKET,
+        Key: pendingKey,
+        Range: "bytes=0-1023",
+      }),
+    );
+    const fileHead = Buffer.from(await Body.transformToByteArray());
+
+    try {
+      if (!ALLOWED_MIME_TYPES.includes(mimetype)) {
+        throw new Error(`Allowed types: ${ALLOWED_MIME_TYPES.join(", ")}`);
+      }
+      validateFileContent(fileHead, {
+        size,
+        mimetype,
+        maxSize: API_MAX_FILE_SIZE,
+      });
+      validateFileExtension({ originalFilename: filename, mimetype });
+    } catch (validationError) {
+      await discardPending(pendingKey, head);
+      console.warn(
+        `API presigned upload rejected and deleted: ${filename} - ${validationError.message}`,
+      );
+      return res.status(400).json({
+        error: "File validation failed",
+        message: validationError.message,
+        deleted: true,
+      });
+    }
+
+    await promoteUpload(pendingKey, filename, head);
+
+    console.log(`API presigned upload finalized: ${filename} (${size} bytes)`);
+
+    return res.status(200).json({
+      success: true,
+      url: buildPublicUrl(filename),
+      filename,
+      message: "Upload successful",
+      file: {
+        originalName:
+          readObjectMetadata(head.Metadata).originalName || filename,
+        size,
+        type: mimetype,
+      },
+    });
+  } catch (error) {
+    console.error(`API finalize error:`, error);
+
+    return res.status(500).json({
+      error: "Finalize failed",
+      message:
+        process.env.NODE_ENV === "production"
+          ? "Internal server error"
+          : error.message,
+      ...(process.env.NODE_ENV === "development" && { stack: error.stack }),
+    });
+  }
+}
@@ -0,0 +1,183 @@
+// api/v1/links.js
+import { GetObjectCommand } from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import {
+  s3,
+  PRIVATE_LINK_EXPIRES_IN,
+  PRIVATE_LINK_MAX_EXPIRES_IN,
+  validateEnvironment,
+  headObject,
+  readObjectMetadata,
+} from "../utils/uploadHelpers.js";
+import {
+  AuthError,
+  assertKeyPrefix,
+  authenticateRequest,
+} from "../utils/auth.js";
+import { setApiHeaders } from "../utils/http.js";
+
+/**
+ * Content-Disposition that makes browsers save the object as a file
+ * The plain filename is an ASCII fallback for clients that don't read
+ * filename*, which carries the real name
+ */
+function attachmentDisposition(name) {
+  const fallback = name.replace(/[^\x20-\x7e]|["\\]/g, "_");
+  const encoded = encodeURIComponent(name).replace(
+    /['()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`,
+  );
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+/**
+ * Works out the name a download is saved as
+ * @param {boolean|string} download - true for the name it was uploaded as,
+ *   a string for a name of the caller's choosing
+ * @returns {string|null} File name, or null for an inline link
+ * @throws {Error} If a custom name is empty, too long or has control
+ *   characters
+ */
+function resolveDownloadName(download, key, head) {
+  if (download === undefined || download === false) return null;
+
+  if (download === true) {
+    return (
+      readObjectMetadata(head.Metadata).originalName || key.split("/").at(-1)
+    );
+  }
+
+  if (
+    typeof download !== "string" ||
+    !download.trim() ||
+    download.length > 255 ||
+    [...download].some((char) => char < " " || char === "\x7f")
+  ) {
+    throw new Error(
+      "download has to be true or a file name of at most 255 characters",
+    );
+  }
+  return download;
+}
+
+/**
+ * API Route Handler
+ * Issues a presigned GET URL for an object, so private uploads can be
+ * shared for a limited time without making them public.
+ *
+ * Body (JSON):
+ *   filename  - Object key, as returned by the upload
+ *   expiresIn - Link lifetime in seconds (default PRIVATE_LINK_EXPIRES_IN)
+ *   download  - true to force a download under the original name, or a
+ *               file name to save it as
+ */
+export default async function handler(req, res) {
+  setApiHeaders(res, ["POST"]);
+
+  // Handle preflight requests
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  try {
+    // Validate environment variables
+    validateEnvironment();
+
+    if (req.method !== "POST") {
+      return res.status(405).json({
+        error: "Method Not Allowed",
+        message: "Only POST requests are supported",
+        supportedMethods: ["POST"],
+      });
+    }
+
+    const { filename, expiresIn, download } = req.body || {};
+
+    if (typeof filename !== "string" || !filename) {
+      return res.status(400).json({
+        error: "Missing filename",
+        message: "Please provide the 'filename' returned by the upload",
+      });
+    }
+
+    let apiKey;
+    try {
+      apiKey = await authenticateRequest(req, "read");
+      assertKeyPrefix(apiKey, filename);
+    } catch (authError) {
+      if (!(authError instanceof AuthError)) throw authError;
+      console.warn(`API link authentication failed: ${authError.message}`);
+      return res.status(authError.status).json({
+        error: authError.title,
+        message: authError.message,
+      });
+    }
+
+    const lifetime =
+      expiresIn === undefined ? PRIVATE_LINK_EXPIRES_IN : Number(expiresIn);
+    if (
+      !Number.isInteger(lifetime) ||
+      lifetime <= 0 ||
+      lifetime > PRIVATE_LINK_MAX_EXPIRES_IN
+    ) {
+      return res.status(400).json({
+        error: "Invalid expiresIn",
+        message: `expiresIn has to be between 1 and ${PRIVATE_LINK_MAX_EXPIRES_IN} seconds`,
+      });
+    }
+
+    const head = await headObject(filename);
+    if (!head) {
+      return res.status(404).json({
+        error: "Object not found",
+        message: `No object named ${filename}`,
+      });
+    }
+
+    let downloadName;
+    try {
+      downloadName = resolveDownloadName(download, filename, head);
+    } catch (downloadError) {
+      return res.status(400).json({
+        error: "Invalid download",
+        message: downloadError.message,
+      });
+    }
+
+    const url = await getSignedUrl(
+      s3,
+      new GetObjectCommand({
+        Bucket: process.env.S3_BUCKET,
+        Key: filename,
+        ...(downloadName && {
+          ResponseContentDisposition: attachmentDisposition(downloadName),
+        }),
+      }),
+      { expiresIn: lifetime },
+    );
+
+    console.log(
+      `API download link issued by ${apiKey.name}: ${filename} (${lifetime}s)`,
+    );
+
+    return res.status(200).json({
+      success: true,
+      url,
+      filename,
+      expiresIn: lifetime,
+      expiresAt: new Date(Date.now() + lifetime * 1000).toISOString(),
+      ...(downloadName && { download: downloadName }),
+    });
+  } catch (error) {
+    console.error(`API link error:`, error);
+
+    return res.status(500).json({
+      error: "Link failed",
+      message:
+        process.env.NODE_ENV === "production"
+          ? "Internal server error"
+          : error.message,
+      ...(process.env.NODE_ENV === "development" && { stack: error.stack }),
+    });
+  }
+}
@@ -0,0 +1,205 @@
+// api/v1/objects/[key].js
+import { HeadObjectCommand, DeleteObjectCommand } from "@aws-sdk/client-s3";
+import {
+  s3,
+  validateEnvironment,
+  buildPublicUrl,
+  readObjectMetadata,
+} from "../../utils/uploadHelpers.js";
+import {
+  AuthError,
+  assertKeyPrefix,
+  authenticateRequest,
+  verifyDeletionToken,
+} from "../../utils/auth.js";
+import { setApiHeaders } from "../../utils/http.js";
+import { deleteVariants, supportsVariants } from "../../utils/variants.js";
+
+/**
+ * Rejects keys that try to climb out of the bucket or are plainly garbage
+ */
+function isValidKey(key) {
+  return (
+    typeof key === "string" &&
+    key.length > 0 &&
+    key.length <= 1024 &&
+    !key.split("/").includes("..")
+  );
+}
+
+/**
+ * Looks up an object's details and the metadata written at upload time,
+ * so a random UUID filename can be traced back to what was uploaded
+ */
+async function handleGet(req, res, key) {
+  try {
+    assertKeyPrefix(await authenticateRequest(req, "list"), key);
+  } catch (authError) {
+    if (!(authError instanceof AuthError)) throw authError;
+    console.warn(`API lookup authentication failed: ${authError.message}`);
+    return res.status(authError.status).json({
+      error: authError.title,
+      message: authError.message,
+    });
+  }
+
+  let head;
+  try {
+    head = await s3.send(
+      new HeadObjectCommand({
+        Bucket: process.env.S3_BUCKET,
+        Key: key,
+      }),
+    );
+  } catch (headError) {
+    if (headError.$metadata?.httpStatusCode === 404) {
+      return res.status(404).json({
+        error: "Object not found",
+        message: `No object named ${key}`,
+      });
+    }
+    throw headError;
+  }
+
+  return res.status(200).json({
+    success: true,
+    key,
+    url: buildPublicUrl(key),
+    contentType: head.ContentType,
+    size: head.ContentLength,
+    etag: head.ETag?.replace(/"/g, ""),
+    lastModified: head.LastModified?.toISOString(),
+    metadata: readObjectMetadata(head.Metadata),
+  });
+}
+
+/**
+ * Deletes an object
+ * Authorized either by the deletion token returned at upload time or by the
+ * an API key with the delete operation, so uploaders can take down their
+ * own leaks
+ */
+async function handleDelete(req, res, key) {
+  const deleteToken = req.headers["x-delete-token"] || req.query.token;
+
+  // Without a token this is an admin delete - authenticate before touching
+  // the bucket so anonymous callers can't probe which keys exist
+  if (!deleteToken) {
+    try {
+      assertKeyPrefix(await authenticateRequest(req, "delete"), key);
+    } catch (authError) {
+      if (!(authError instanceof AuthError)) throw authError;
+      console.warn(`API delete authentication failed: ${authError.message}`);
+      return res.status(authError.status).json({
+        error: authError.title,
+        message:
+          authError.status === 401
+            ? `${authError.message} - provide a deletion token or API key`
+            : authError.message,
+      });
+    }
+  }
+
+  let head;
+  try {
+    head = await s3.send(
+      new HeadObjectCommand({
+        Bucket: process.env.S3_BUCKET,
+        Key: key,
+      }),
+    );
+  } catch (headError) {
+    if (headError.$metadata?.httpStatusCode === 404) {
+      return res.status(404).json({
+        error: "Object not found",
+        message: `No object named ${key}`,
+      });
+    }
+    throw headError;
+  }
+
+  if (
+    deleteToken &&
+    !verifyDeletionToken(deleteToken, head.Metadata?.["delete-token-hash"])
+  ) {
+    console.warn(`API delete rejected: invalid deletion token for ${key}`);
+    return res.status(403).json({
+      error: "Forbidden",
+      message: "Invalid deletion token for this object",
+    });
+  }
+
+  const authorizedBy = deleteToken ? "token" : "api";
+
+  await s3.send(
+    new DeleteObjectCommand({
+      Bucket: process.env.S3_BUCKET,
+      Key: key,
+    }),
+  );
+
+  // Resized copies would keep showing the image after it's gone
+  if (supportsVariants(head.ContentType)) {
+    await deleteVariants(key);
+  }
+
+  console.log(`API delete successful: ${key} (authorized by ${authorizedBy})`);
+
+  return res.status(200).json({
+    success: true,
+    message: "Object deleted",
+    filename: key,
+    authorizedBy,
+  });
+}
+
+/**
+ * API Route Handler
+ * Single-object operations on /api/v1/objects/:key
+ */
+export default async function handler(req, res) {
+  setApiHeaders(res, ["GET", "DELETE"]);
+
+  // Handle preflight requests
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  try {
+    // Validate environment variables
+    validateEnvironment();
+
+    const key = req.query.key;
+    if (!isValidKey(key)) {
+      return res.status(400).json({
+        error: "Invalid key",
+        message: "Please provide the object key in the URL",
+      });
+    }
+
+    if (req.method === "GET") {
+      return await handleGet(req, res, key);
+    }
+
+    if (req.method === "DELETE") {
+      return await handleDelete(req, res, key);
+    }
+
+    return res.status(405).json({
+      error: "Method Not Allowed",
+      message: "Only GET (lookup) and DELETE requests are supported",
+      supportedMethods: ["GET", "DELETE"],
+    });
+  } catch (error) {
+    console.error(`API object error:`, error);
+
+    return res.status(500).json({
+      error: req.method === "GET" ? "Lookup failed" : "Delete failed",
+      message:
+        process.env.NODE_ENV === "production"
+          ? "Internal server error"
+          : error.message,
+      ...(process.env.NODE_ENV === "development" && { stack: error.stack }),
+    });
+  }
+}
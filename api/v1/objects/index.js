@@ -0,0 +1,214 @@
+// api/v1/objects/index.js
+import { ListObjectsV2Command, HeadObjectCommand } from "@aws-sdk/client-s3";
+import {
+  s3,
+  validateEnvironment,
+  buildPublicUrl,
+  readObjectMetadata,
+} from "../../utils/uploadHelpers.js";
+import {
+  AuthError,
+  authenticateRequest,
+  isWithinKeyPrefix,
+} from "../../utils/auth.js";
+import { isInternalKey } from "../../utils/objectKeys.js";
+import { setApiHeaders } from "../../utils/http.js";
+
+/**
+ * Listing limits - every listed object costs one HEAD request for its
+ * metadata, so pages are kept small
+ */
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+const HEAD_CONCURRENCY = 10;
+
+const SORT_FIELDS = ["uploadTime", "key", "size"];
+
+/**
+ * Fetches custom metadata for a page of listed objects
+ * HEAD requests run in small batches to stay polite to the bucket
+ */
+async function describeObjects(contents) {
+  const objects = [];
+
+  for (let i = 0; i < contents.length; i += HEAD_CONCURRENCY) {
+    const batch = contents.slice(i, i + HEAD_CONCURRENCY);
+    const described = await Promise.all(
+      batch.map(async (item) => {
+        let metadata = {};
+        try {
+          const head = await s3.send(
+            new HeadObjectCommand({
+              Bucket: process.env.S3_BUCKET,
+              Key: item.Key,
+            }),
+          );
+          metadata = head.Metadata || {};
+        } catch (headError) {
+          // Deleted between the list and the HEAD - report what the list had
+          if (headError.$metadata?.httpStatusCode !== 404) throw headError;
+        }
+
+        const details = readObjectMetadata(metadata);
+
+        return {
+          key: item.Key,
+          url: buildPublicUrl(item.Key),
+          size: item.Size,
+          lastModified: item.LastModified?.toISOString(),
+          etag: item.ETag?.replace(/"/g, ""),
+          originalName: details.originalName,
+          uploadSource: details.uploadSource,
+          uploadTime: details.uploadTime || item.LastModified?.toISOString(),
+          fileSize: details.fileSize ?? item.Size,
+          expiresAt: details.expiresAt,
+        };
+      }),
+    );
+    objects.push(...described);
+  }
+
+  return objects;
+}
+
+function sortObjects(objects, sort, order) {
+  const direction = order === "asc" ? 1 : -1;
+  const value = (object) => {
+    if (sort === "key") return object.key;
+    if (sort === "size") return object.size;
+    return Date.parse(object.uploadTime) || 0;
+  };
+
+  return objects.sort((a, b) => {
+    const left = value(a);
+    const right = value(b);
+    if (left < right) return -1 * direction;
+    if (left > right) return 1 * direction;
+    return 0;
+  });
+}
+
+/**
+ * API Route Handler
+ * Lists bucket objects with their upload metadata
+ *
+ * Query parameters:
+ *   prefix - Only list keys starting with this prefix - private uploads
+ *            are under PRIVATE_PREFIX, e.g. private/<key prefix>
+ *   limit  - Page size (default 50, max 100)
+ *   cursor - Continuation token from a previous page's nextCursor
+ *   sort   - uploadTime (default), key or size
+ *   order  - desc (default) or asc
+ *
+ * S3 lists keys in lexicographic order, so sorting applies within a page.
+ */
+export default async function handler(req, res) {
+  setApiHeaders(res, ["GET"]);
+
+  // Handle preflight requests
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  const startTime = Date.now();
+
+  try {
+    // Validate environment variables
+    validateEnvironment();
+
+    if (req.method !== "GET") {
+      return res.status(405).json({
+        error: "Method Not Allowed",
+        message: "Only GET requests are supported",
+        supportedMethods: ["GET"],
+      });
+    }
+
+    let apiKey;
+    try {
+      apiKey = await authenticateRequest(req, "list");
+    } catch (authError) {
+      if (!(authError instanceof AuthError)) throw authError;
+      console.warn(`API list authentication failed: ${authError.message}`);
+      return res.status(authError.status).json({
+        error: authError.title,
+        message: authError.message,
+      });
+    }
+
+    const {
+      prefix = apiKey.prefix,
+      cursor,
+      sort = "uploadTime",
+      order = "desc",
+    } = req.query;
+
+    // Scoped keys can only see their own corner of the bucket, public or
+    // private
+    if (!isWithinKeyPrefix(apiKey, prefix)) {
+      return res.status(403).json({
+        error: "Forbidden",
+        message: `This API key can only list keys under '${apiKey.prefix}'`,
+      });
+    }
+
+    const limit = parseInt(req.query.limit || DEFAULT_PAGE_SIZE);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return res.status(400).json({
+        error: "Invalid limit",
+        message: `limit must be between 1 and ${MAX_PAGE_SIZE}`,
+      });
+    }
+
+    if (!SORT_FIELDS.includes(sort) || !["asc", "desc"].includes(order)) {
+      return res.status(400).json({
+        error: "Invalid sort",
+        message: `sort must be one of ${SORT_FIELDS.join(", ")} and order asc or desc`,
+      });
+    }
+
+    const listing = await s3.send(
+      new ListObjectsV2Command({
+        Bucket: process.env.S3_BUCKET,
+        Prefix: prefix || undefined,
+        MaxKeys: limit,
+        ContinuationToken: cursor || undefined,
+      }),
+    );
+
+    const objects = sortObjects(
+      await describeObjects(
+        (listing.Contents || []).filter((item) => !isInternalKey(item.Key)),
+      ),
+      sort,
+      order,
+    );
+
+    return res.status(200).json({
+      success: true,
+      objects,
+      count: objects.length,
+      prefix,
+      sort,
+      order,
+      isTruncated: !!listing.IsTruncated,
+      nextCursor: listing.NextContinuationToken || null,
+      ...(process.env.NODE_ENV !== "production" && {
+        debug: {
+          processingTime: Date.now() - startTime,
+        },
+      }),
+    });
+  } catch (error) {
+    console.error(`API list error:`, error);
+
+    return res.status(500).json({
+      error: "List failed",
+      message:
+        process.env.NODE_ENV === "production"
+          ? "Internal server error"
+          : error.message,
+      ...(process.env.NODE_ENV === "development" && { stack: error.stack }),
+    });
+  }
+}
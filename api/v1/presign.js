@@ -0,0 +1,299 @@
+// api/v1/presign.js
+import { PutObjectCommand } from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import {
+  s3,
+  ALLOWED_MIME_TYPES,
+  API_MAX_FILE_SIZE,
+  PRESIGN_EXPIRES_IN,
+  PRESIGN_FINALIZE_WINDOW,
+  validateFileExtension,
+  validateEnvironment,
+  encodeMetadataValue,
+} from "../utils/uploadHelpers.js";
+import {
+  AuthError,
+  assertFolderAllowed,
+  authenticateRequest,
+} from "../utils/auth.js";
+import {
+  DEFAULT_KEY_TEMPLATE,
+  buildObjectKey,
+  getInternalPrefix,
+  getPrivatePrefix,
+  isPrivateKey,
+  isReservedKey,
+  normalizeFolder,
+  withExpiry,
+} from "../utils/objectKeys.js";
+import { expiryMetadata } from "../utils/expiry.js";
+import { setApiHeaders } from "../utils/http.js";
+import {
+  API_RATE_LIMIT_WINDOW,
+  checkRateLimit,
+  getQuotaUsage,
+  reserveQuota,
+  settleQuota,
+  setRateLimitHeaders,
+} from "../utils/rateLimit.js";
+import { getSanitizer } from "../utils/sanitize.js";
+import { checkUploadUsage } from "../utils/usage.js";
+import {
+  canonicalMimeType,
+  findFileType,
+  maxSizeFor,
+} from "../../shared/fileTypes.js";
+
+/**
+ * API Route Handler
+ * Issues a presigned PUT URL so clients can upload straight to the bucket
+ * without streaming the bytes through this function. The PUT lands in an
+ * expiring key under the internal prefix, and /api/v1/finalize checks it
+ * and moves it to its public name - an upload that's never finalized gets
+ * swept with the other expired ones.
+ */
+export default async function handler(req, res) {
+  setApiHeaders(res, ["POST"]);
+
+  // Handle preflight requests
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  try {
+    // Validate environment variables
+    validateEnvironment();
+
+    if (req.method !== "POST") {
+      return res.status(405).json({
+        error: "Method Not Allowed",
+        message: "Only POST requests are supported",
+        supportedMethods: ["POST"],
+      });
+    }
+
+    let apiKey;
+    try {
+      apiKey = await authenticateRequest(req, "upload");
+    } catch (authError) {
+      if (!(authError instanceof AuthError)) throw authError;
+      console.warn(`API presign authentication failed: ${authError.message}`);
+      return res.status(authError.status).json({
+        error: authError.title,
+        message: authError.message,
+      });
+    }
+
+    // Same per-key limits as /api/v1/upload - the bytes just take a
+    // different route into the bucket
+    const rateLimit = await checkRateLimit(apiKey, { consume: true });
+    setRateLimitHeaders(res, rateLimit);
+    if (!rateLimit.allowed) {
+      console.warn(`API rate limit exceeded for key: ${apiKey.name}`);
+      res.setHeader("Retry-After", rateLimit.retryAfter);
+      return res.status(429).json({
+        error: "Rate limit exceeded",
+        message: `Limited to ${rateLimit.limit} requests per ${API_RATE_LIMIT_WINDOW} seconds`,
+        retryAfter: rateLimit.retryAfter,
+      });
+    }
+
+    const quota = await getQuotaUsage(apiKey);
+    if (quota.remaining === 0) {
+      console.warn(`API daily quota exhausted for key: ${apiKey.name}`);
+      res.setHeader("Retry-After", quota.retryAfter);
+      return res.status(429).json({
+        error: "Quota exceeded",
+        message: `Daily upload quota of ${quota.limit} bytes used up`,
+        retryAfter: quota.retryAfter,
+      });
+    }
+
+    const { filename, contentType, size, folder } = req.body || {};
+
+    if (typeof filename !== "string" || !filename.trim()) {
+      return res.status(400).json({
+        error: "Missing filename",
+        message: "Please provide the original 'filename' of the file",
+      });
+    }
+
+    // Basic MIME type check
+    if (!ALLOWED_MIME_TYPES.includes(contentType)) {
+      return res.status(400).json({
+        error: "Invalid file type",
+        message: `Allowed types: ${ALLOWED_MIME_TYPES.join(", ")}`,
+      });
+    }
+
+    // Direct uploads never pass through here, so nothing could sanitize them
+    if (getSanitizer(contentType)) {
+      return res.status(400).json({
+        error: "Invalid file type",
+        message: `${contentType} has to be sanitized - upload it through /api/v1/upload`,
+      });
+    }
+
+    // Declared size check - the size is signed into the URL, so the bucket
+    // rejects a PUT whose body doesn't match it
+    const fileSize = Number(size);
+    if (!Number.isInteger(fileSize) || fileSize <= 0) {
+      return res.status(400).json({
+        error: "Invalid file size",
+        message: "Please provide the file 'size' in bytes",
+      });
+    }
+
+    const maxSize = maxSizeFor(findFileType(contentType), API_MAX_FILE_SIZE);
+    if (fileSize > maxSize) {
+      return res.status(413).json({
+        error: "Request too large",
+        message: `File size exceeds ${maxSize / 1024 / 1024}MB limit`,
+      });
+    }
+
+    // Free plan usage - the PUT goes straight to the bucket, so this is the
+    // last point it can be refused
+    const usageCheck = await checkUploadUsage({ incomingBytes: fileSize });
+    if (!usageCheck.allowed) {
+      console.warn(
+        `API presign blocked by usage limits for key: ${apiKey.name}`,
+      );
+      return res.status(429).json({
+        error: "Usage limit reached",
+        message: usageCheck.message,
+        usage: usageCheck.usage,
+      });
+    }
+
+    // File extension validation
+    let fileExtension;
+    try {
+      fileExtension = validateFileExtension({
+        originalFilename: filename,
+        mimetype: contentType,
+      });
+    } catch (extensionError) {
+      return res.status(400).json({
+        error: "File extension validation failed",
+        message: extensionError.message,
+      });
+    }
+
+    let normalizedFolder;
+    try {
+      normalizedFolder = normalizeFolder(folder);
+      assertFolderAllowed(apiKey, normalizedFolder);
+      // Private uploads go through /api/v1/upload
+      const folderKey =
+        apiKey.prefix + (normalizedFolder && `${normalizedFolder}/`);
+      if (isPrivateKey(folderKey)) {
+        throw new Error(
+          `Direct uploads can't go under "${getPrivatePrefix()}"`,
+        );
+      }
+      if (isReservedKey(folderKey)) {
+        throw new Error(`"${folderKey}" is reserved for the app`);
+      }
+    } catch (folderError) {
+      const denied = folderError instanceof AuthError;
+      return res.status(denied ? folderError.status : 400).json({
+        error: denied ? folderError.title : "Invalid folder",
+        message: folderError.message,
+      });
+    }
+
+    // Generate filename inside the key's prefix - always a plain UUID, which
+    // is how finalize recognizes presigned keys. It only goes live there
+    // once finalize has checked it.
+    const key = buildObjectKey({
+      template: DEFAULT_KEY_TEMPLATE,
+      extension: fileExtension,
+      prefix: apiKey.prefix,
+      folder: normalizedFolder,
+    });
+
+    // The size is signed into the URL, so it's what the PUT will store -
+    // charge it now, since nothing else sees the bytes arrive. Taking it
+    // out of the quota before signing means two presigns can't both get the
+    // last bytes of the day.
+    const reservation = await reserveQuota(apiKey, fileSize);
+    if (reservation.reserved < fileSize) {
+      await settleQuota(apiKey, reservation, 0);
+      const retryAfter = Math.ceil((reservation.resetAt - Date.now()) / 1000);
+      res.setHeader("Retry-After", retryAfter);
+      return res.status(429).json({
+        error: "Quota exceeded",
+        message: `Upload exceeds the ${reservation.reserved} bytes left of today's quota`,
+        retryAfter,
+      });
+    }
+
+    const expiresAt = new Date(
+      Date.now() + (PRESIGN_EXPIRES_IN + PRESIGN_FINALIZE_WINDOW) * 1000,
+    );
+    const pendingKey = withExpiry(getInternalPrefix() + key, expiresAt);
+    const uploadUrl = await getSignedUrl(
+      s3,
+      new PutObjectCommand({
+        Bucket: process.env.S3_BUCKET,
+        Key: pendingKey,
+        ContentType: canonicalMimeType(contentType),
+        ContentLength: fileSize,
+        Metadata: {
+          "upload-ip": "api",
+          // The time of the reservation, so a refund finds the right day
+          "upload-time": new Date(reservation.reservedAt).toISOString(),
+          "original-name": encodeMetadataValue(filename.substring(0, 100)),
+          "file-size": fileSize.toString(),
+          "upload-source": `api:${apiKey.name}`,
+          ...expiryMetadata(expiresAt),
+        },
+      }),
+      {
+        expiresIn: PRESIGN_EXPIRES_IN,
+        // Pin the content type and size so the client can't swap them
+        signableHeaders: new Set(["content-type", "content-length"]),
+      },
+    );
+
+    console.log(
+      `API presigned upload issued: ${pendingKey} (${fileSize} bytes)`,
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Upload URL created - PUT the file, then call finalize",
+      upload: {
+        url: uploadUrl,
+        method: "PUT",
+        headers: {
+          "Content-Type": canonicalMimeType(contentType),
+          "Content-Length": fileSize.toString(),
+        },
+        expiresIn: PRESIGN_EXPIRES_IN,
+        expiresAt: new Date(
+          Date.now() + PRESIGN_EXPIRES_IN * 1000,
+        ).toISOString(),
+      },
+      finalize: {
+        url: "/api/v1/finalize",
+        method: "POST",
+        body: { filename: pendingKey },
+        expiresAt: expiresAt.toISOString(),
+      },
+      filename: pendingKey,
+    });
+  } catch (error) {
+    console.error(`API presign error:`, error);
+
+    return res.status(500).json({
+      error: "Presign failed",
+      message:
+        process.env.NODE_ENV === "production"
+          ? "Internal server error"
+          : error.message,
+      ...(process.env.NODE_ENV === "development" && { stack: error.stack }),
+    });
+  }
+}
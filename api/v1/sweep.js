@@ -0,0 +1,285 @@
+// api/v1/sweep.js
+import {
+  ListObjectsV2Command,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+} from "@aws-sdk/client-s3";
+import { s3, validateEnvironment } from "../utils/uploadHelpers.js";
+import {
+  AuthError,
+  authenticateRequest,
+  isCronRequest,
+  isWithinKeyPrefix,
+} from "../utils/auth.js";
+import { setApiHeaders } from "../utils/http.js";
+import { refundPresignedUpload } from "../utils/rateLimit.js";
+import {
+  expiryHourTime,
+  getExpiryRoots,
+  getInternalPrefix,
+  parseExpiringKey,
+} from "../utils/objectKeys.js";
+
+/**
+ * Sweep limits - deletes run a batch at a time, and a run stops once its
+ * time budget is spent and hands back a cursor
+ */
+const DELETE_CONCURRENCY = 10;
+const SWEEP_TIME_BUDGET_MS =
+  parseInt(process.env.SWEEP_TIME_BUDGET_MS || "0") || 45 * 1000;
+
+/**
+ * Lists the hour folders under an expiry root whose uploads have all
+ * expired, oldest first
+ * @returns {string[]} Folder prefixes, e.g. "expires/2026-10-18T13/"
+ */
+async function listDueHours(root, now) {
+  const due = [];
+  let continuationToken;
+
+  do {
+    const listing = await s3.send(
+      new ListObjectsV2Command({
+        Bucket: process.env.S3_BUCKET,
+        Prefix: root,
+        Delimiter: "/",
+        ContinuationToken: continuationToken,
+      }),
+    );
+
+    for (const { Prefix } of listing.CommonPrefixes || []) {
+      const expiredBy = expiryHourTime(Prefix.slice(root.length, -1));
+      // Hours are listed in order, so the first one still to come ends it
+      if (expiredBy > now) return due;
+      if (!Number.isNaN(expiredBy)) due.push(Prefix);
+    }
+
+    continuationToken = listing.IsTruncated
+      ? listing.NextContinuationToken
+      : undefined;
+  } while (continuationToken);
+
+  return due;
+}
+
+/**
+ * Pages of expired objects under an API key's prefix, in key order
+ * Every expired hour folder of every root is listed at keyPrefix, so a
+ * scoped key only ever sees its own uploads. Keys up to the cursor are
+ * skipped - they were dealt with by the run that handed it out.
+ */
+async function* listExpiredObjects(roots, keyPrefix, cursor, now) {
+  for (const root of roots) {
+    for (const hour of await listDueHours(root, now)) {
+      const prefix = hour + keyPrefix;
+      if (cursor && prefix < cursor && !cursor.startsWith(prefix)) continue;
+
+      let startAfter = cursor?.startsWith(prefix) ? cursor : undefined;
+      let listing;
+      do {
+        listing = await s3.send(
+          new ListObjectsV2Command({
+            Bucket: process.env.S3_BUCKET,
+            Prefix: prefix,
+            StartAfter: startAfter,
+            MaxKeys: 1000,
+          }),
+        );
+        const contents = listing.Contents || [];
+        if (contents.length > 0) {
+          yield contents;
+          startAfter = contents.at(-1).Key;
+        }
+      } while (listing.IsTruncated);
+    }
+  }
+}
+
+/**
+ * Reads the metadata of a presigned upload that was never finalized, so
+ * its quota reservation can be refunded once it's gone
+ * @returns {Object|null} Metadata, or null for anything else
+ */
+async function readPendingMetadata(key) {
+  if (parseExpiringKey(key)?.root !== getInternalPrefix()) return null;
+
+  const head = await s3.send(
+    new HeadObjectCommand({
+      Bucket: process.env.S3_BUCKET,
+      Key: key,
+    }),
+  );
+  return head.Metadata;
+}
+
+/**
+ * Deletes a batch of expired objects
+ * @returns {Object} { deleted, bytes, failed }
+ */
+async function sweepBatch(items) {
+  const outcomes = await Promise.all(
+    items.map(async (item) => {
+      let pending;
+      try {
+        pending = await readPendingMetadata(item.Key);
+        await s3.send(
+          new DeleteObjectCommand({
+            Bucket: process.env.S3_BUCKET,
+            Key: item.Key,
+          }),
+        );
+        console.log(`Sweep deleted expired object: ${item.Key}`);
+      } catch (sweepError) {
+        console.warn(`Sweep failed for ${item.Key}: ${sweepError.message}`);
+        return { failed: true };
+      }
+
+      // The object is gone either way - a refund that fails is only logged
+      if (pending) {
+        await refundPresignedUpload(item.Key, pending).catch((refundError) =>
+          console.warn(
+            `Sweep could not refund quota for ${item.Key}: ${refundError.message}`,
+          ),
+        );
+      }
+      return { bytes: item.Size ?? 0 };
+    }),
+  );
+
+  return {
+    deleted: outcomes.filter((outcome) => !outcome.failed).length,
+    bytes: outcomes.reduce((total, outcome) => total + (outcome.bytes || 0), 0),
+    failed: outcomes.filter((outcome) => outcome.failed).length,
+  };
+}
+
+/**
+ * API Route Handler
+ * Deletes uploads whose expiresIn has run out, by listing the expiry hour
+ * folders that are in the past - only unfinalized presigned uploads are
+ * read first, to refund their quota. Vercel cron calls it with
+ * Authorization: Bearer <CRON_SECRET> to sweep the whole bucket, those
+ * pending uploads included; API keys with the delete operation can sweep
+ * their own public and private uploads.
+ *
+ * Query parameters:
+ *   cursor - Key to continue after, from a previous run's nextCursor
+ */
+export default async function handler(req, res) {
+  setApiHeaders(res, ["GET", "POST"]);
+
+  // Handle preflight requests
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  const startTime = Date.now();
+
+  try {
+    // Validate environment variables
+    validateEnvironment();
+
+    if (req.method !== "GET" && req.method !== "POST") {
+      return res.status(405).json({
+        error: "Method Not Allowed",
+        message: "Only GET and POST requests are supported",
+        supportedMethods: ["GET", "POST"],
+      });
+    }
+
+    let apiKey = null;
+    let sweeper = "cron";
+    if (!isCronRequest(req)) {
+      try {
+        apiKey = await authenticateRequest(req, "delete");
+        sweeper = `api:${apiKey.name}`;
+      } catch (authError) {
+        if (!(authError instanceof AuthError)) throw authError;
+        console.warn(`API sweep authentication failed: ${authError.message}`);
+        return res.status(authError.status).json({
+          error: authError.title,
+          message: authError.message,
+        });
+      }
+    }
+
+    const { cursor } = req.query;
+    if (cursor && !parseExpiringKey(cursor)) {
+      return res.status(400).json({
+        error: "Invalid cursor",
+        message: "Please pass the nextCursor of a previous sweep",
+      });
+    }
+    if (cursor && apiKey && !isWithinKeyPrefix(apiKey, cursor)) {
+      return res.status(403).json({
+        error: "Forbidden",
+        message: `This API key can only sweep keys under '${apiKey.prefix}'`,
+      });
+    }
+
+    const now = Date.now();
+    const reclaimed = { objects: 0, bytes: 0 };
+    let checked = 0;
+    let failed = 0;
+    let lastKey = cursor || null;
+    let complete = true;
+
+    const outOfTime = () => Date.now() - startTime >= SWEEP_TIME_BUDGET_MS;
+
+    // Only cron cleans up after unfinalized presigned uploads - they're
+    // under the internal prefix, which no API key owns
+    const pages = listExpiredObjects(
+      getExpiryRoots({ internal: !apiKey }),
+      apiKey?.prefix || "",
+      cursor,
+      now,
+    );
+    for await (const contents of pages) {
+      for (let i = 0; i < contents.length; i += DELETE_CONCURRENCY) {
+        // Every run gets through at least one batch, so it always moves on
+        if (checked > 0 && outOfTime()) {
+          complete = false;
+          break;
+        }
+
+        const batch = contents.slice(i, i + DELETE_CONCURRENCY);
+        const result = await sweepBatch(batch);
+        reclaimed.objects += result.deleted;
+        reclaimed.bytes += result.bytes;
+        failed += result.failed;
+        checked += batch.length;
+        lastKey = batch.at(-1).Key;
+      }
+      if (!complete) break;
+    }
+
+    console.log(
+      `Sweep by ${sweeper} checked ${checked} objects, deleted ${reclaimed.objects} (${reclaimed.bytes} bytes)${complete ? "" : " - out of time"}`,
+    );
+
+    return res.status(200).json({
+      success: true,
+      checked,
+      reclaimed,
+      failed,
+      complete,
+      nextCursor: complete ? null : lastKey,
+      ...(process.env.NODE_ENV !== "production" && {
+        debug: {
+          processingTime: Date.now() - startTime,
+        },
+      }),
+    });
+  } catch (error) {
+    console.error(`API sweep error:`, error);
+
+    return res.status(500).json({
+      error: "Sweep failed",
+      message:
+        process.env.NODE_ENV === "production"
+          ? "Internal server error"
+          : error.message,
+      ...(process.env.NODE_ENV === "development" && { stack: error.stack }),
+    });
+  }
+}
@@ -1,31 +1,632 @@
 // api/v1/upload.js
-import formidable from "formidable";
-import fs from "fs";
-import crypto from "crypto";
+import { DeleteObjectCommand } from "@aws-sdk/client-s3";
 import {
+  s3,
   ALLOWED_MIME_TYPES,
+  API_MAX_FILE_SIZE,
+  API_MAX_FILES,
+  API_MAX_BATCH_SIZE,
   validateFile,
   validateFileExtension,
   uploadToR2,
   validateEnvironment,
+  encodeMetadataValue,
+  buildPublicUrl,
+  buildPublicUrls,
+  headObject,
 } from "../utils/uploadHelpers.js";
+import {
+  buildObjectKey,
+  contentAddressedKey,
+  getKeyTemplate,
+  getPrivatePrefix,
+  isPrivateKey,
+  isReservedKey,
+  normalizeFolder,
+  templateNeedsContent,
+  withExpiry,
+} from "../utils/objectKeys.js";
+import {
+  AuthError,
+  assertFolderAllowed,
+  assertSignedBody,
+  authenticateRequest,
+  createDeletionToken,
+} from "../utils/auth.js";
+import { setApiHeaders } from "../utils/http.js";
+import {
+  parseMultipartUpload,
+  inspectUpload,
+  sanitizeUpload,
+  bufferUpload,
+} from "../utils/streamUpload.js";
+import { SanitizeError } from "../utils/sanitize.js";
+import { stripMetadata } from "../utils/stripMetadata.js";
+import {
+  imageInfoMetadata,
+  readImageInfo,
+  storeImageInfo,
+} from "../utils/imageInfo.js";
+import {
+  VARIANT_MAX_SOURCE_SIZE,
+  deleteVariants,
+  generateVariants,
+  supportsVariants,
+} from "../utils/variants.js";
+import { expiryMetadata, parseExpiresIn } from "../utils/expiry.js";
+import { fetchRemoteFile } from "../utils/remoteFetch.js";
+import { checkUploadUsage } from "../utils/usage.js";
+import { findFileType } from "../../shared/fileTypes.js";
+import {
+  API_RATE_LIMIT_WINDOW,
+  checkRateLimit,
+  getQuotaUsage,
+  reserveQuota,
+  settleQuota,
+  setRateLimitHeaders,
+} from "../utils/rateLimit.js";
+
+/**
+ * Reads the visibility a file was asked to have
+ * @returns {Object} { isPrivate } or { error } saying why it was refused
+ */
+function resolveVisibility(visibility = "public") {
+  if (visibility !== "public" && visibility !== "private") {
+    return { error: 'visibility has to be "public" or "private"' };
+  }
+  return { isPrivate: visibility === "private" };
+}
+
+/**
+ * Validates the folder a file was asked to go in
+ * @returns {Object} { folder } or { failure } with a result ready to return
+ */
+function resolveFolder(apiKey, requested, originalName, isPrivate) {
+  try {
+    const folder = normalizeFolder(requested);
+    assertFolderAllowed(apiKey, folder);
+
+    const folderKey = apiKey.prefix + (folder && `${folder}/`);
+    // A public upload there would be served as private - or look like it
+    if (!isPrivate && isPrivateKey(folderKey)) {
+      throw new Error(
+        `Public uploads can't go under "${getPrivatePrefix()}" - send visibility=private instead`,
+      );
+    }
+    // The internal prefix and the expiry folders are laid out by the app
+    const storedFolderKey = (isPrivate ? getPrivatePrefix() : "") + folderKey;
+    if (isReservedKey(storedFolderKey)) {
+      throw new Error(`"${storedFolderKey}" is reserved for the app`);
+    }
+    return { folder };
+  } catch (folderError) {
+    const denied = folderError instanceof AuthError;
+    return {
+      failure: {
+        success: false,
+        status: denied ? folderError.status : 400,
+        error: denied ? folderError.title : "Invalid folder",
+        message: folderError.message,
+        file: { originalName },
+      },
+    };
+  }
+}
+
+/**
+ * Reads the expiry a file was asked to have
+ * Content-addressed objects are shared by every identical upload, so they
+ * can't be given one
+ * @returns {Object} { expiresAt } or { error } saying why it was refused
+ */
+function resolveExpiry(expiresIn, dedupe) {
+  if (dedupe && expiresIn) {
+    return {
+      error:
+        "expiresIn can't be combined with dedupe - deduplicated objects are shared",
+    };
+  }
+  try {
+    return { expiresAt: parseExpiresIn(expiresIn) };
+  } catch (expiryError) {
+    return { error: expiryError.message };
+  }
+}
+
+/**
+ * Resolves where a file goes and for how long from the fields sent with it
+ * - checked before any of its bytes are stored
+ * @param {Object} fields - { folder, visibility, expiresIn, dedupe }
+ * @returns {Object} { folder, isPrivate, expiresAt } or { failure } with a
+ *   result ready to return
+ */
+function resolvePlacement(
+  apiKey,
+  { folder: requestedFolder, visibility, expiresIn, dedupe },
+  originalName,
+) {
+  const fail = (error, message) => ({
+    failure: {
+      success: false,
+      status: 400,
+      error,
+      message,
+      file: { originalName },
+    },
+  });
+
+  const { isPrivate, error: visibilityError } = resolveVisibility(visibility);
+  if (visibilityError) return fail("Invalid visibility", visibilityError);
+
+  const { folder, failure } = resolveFolder(
+    apiKey,
+    requestedFolder,
+    originalName,
+    isPrivate,
+  );
+  if (failure) return { failure };
+
+  const { expiresAt, error: expiryError } = resolveExpiry(expiresIn, dedupe);
+  if (expiryError) return fail("Invalid expiresIn", expiryError);
+
+  return { folder, isPrivate, expiresAt };
+}
+
+/**
+ * Stores a validated file under a key built from the key template - or, in
+ * content-addressed mode, under a hash of its bytes, skipping the write when
+ * an identical file is already there
+ * @param {Object} file - Ready for uploadToR2, buffered for dedupe and
+ *   templates with {hash}
+ * @param {Object} options - { apiKey, folder, extension, isPrivate, dedupe,
+ *   expiresAt, metadata } where private files go under the private prefix
+ *   and expiring ones in the hour folder of their expiry
+ * @returns {Object} { filename, url, deduplicated } - url is null for
+ *   private files
+ */
+async function storeFile(
+  file,
+  { apiKey, folder, extension, isPrivate, dedupe, expiresAt, metadata },
+) {
+  const prefix = (isPrivate ? getPrivatePrefix() : "") + apiKey.prefix;
+  const filename = dedupe
+    ? contentAddressedKey(file.buffer, file.mimetype, prefix, folder)
+    : withExpiry(
+        buildObjectKey({
+          extension,
+          originalFilename: file.originalFilename,
+          source: "api",
+          buffer: file.buffer,
+          prefix,
+          folder,
+        }),
+        expiresAt,
+      );
+
+  if (dedupe && (await headObject(filename))) {
+    return { filename, url: buildPublicUrl(filename), deduplicated: true };
+  }
+
+  const url = await uploadToR2(file, filename, "api", {
+    source: `api:${apiKey.name}`,
+    metadata,
+  });
+  return { filename, url, deduplicated: false };
+}
+
+/**
+ * Stores a file whose body has passed validation and builds its result -
+ * the half of the pipeline multipart and URL uploads share
+ * @param {Object} file - Ready for uploadToR2; buffered files carry their
+ *   size, streamed ones are measured by their inspector
+ * @param {Object} upload - { apiKey, placement, extension, dedupe, variants,
+ *   label, image, metadata, inspector, stripped, removed, bodyVerified }
+ *   where placement comes from resolvePlacement, image is what's known
+ *   about the image before it's stored, inspector is the streamed upload's
+ *   inspectUpload and bodyVerified resolves once a signed request body is
+ *   known to match its signature
+ * @returns {Object} The file's result
+ */
+async function finishUpload(
+  file,
+  {
+    apiKey,
+    placement: { folder, isPrivate, expiresAt },
+    extension,
+    dedupe,
+    variants,
+    label,
+    image = null,
+    metadata = {},
+    inspector = null,
+    stripped = null,
+    removed = null,
+    bodyVerified = true,
+  },
+) {
+  // Lets the uploader take the object down later without the API secret.
+  // A content-addressed object is shared with everyone who uploads the same
+  // bytes, so no single uploader gets to take it down.
+  const deletion = dedupe ? null : createDeletionToken();
+
+  const stored = await storeFile(file, {
+    apiKey,
+    folder,
+    extension,
+    isPrivate,
+    dedupe,
+    expiresAt,
+    metadata: {
+      ...(deletion && { "delete-token-hash": deletion.hash }),
+      ...expiryMetadata(expiresAt),
+      ...metadata,
+      ...(image && imageInfoMetadata(image)),
+    },
+  });
+
+  const { filename, deduplicated } = stored;
+  const size = file.size ?? inspector.bytesWritten;
+  console.log(
+    deduplicated
+      ? `${label} deduplicated: ${filename} is already stored`
+      : `${label} successful: ${filename} (${size} bytes)`,
+  );
+
+  // A signed body is only known to be the one that was signed once the
+  // whole request has been read - a forged one gets nothing more written
+  // for it, and the handler takes the file back out
+  if (!(await bodyVerified)) {
+    return { success: true, filename, deduplicated };
+  }
+
+  // Frames of a large GIF or animated WebP are only all counted once it's
+  // stored, so their details are added afterwards
+  if (!image && inspector?.imageInfo) {
+    image = inspector.imageInfo;
+    await storeImageInfo(filename, image);
+  }
+
+  const variantSource = file.buffer
+    ? size <= VARIANT_MAX_SOURCE_SIZE && file.buffer
+    : inspector.retained;
+  const variantResult =
+    variants &&
+    supportsVariants(file.mimetype) &&
+    (await generateVariants(variantSource || null, file, filename, "api", {
+      source: `api:${apiKey.name}`,
+      expiresAt,
+      reuse: deduplicated,
+    }));
+
+  stripped = stripped || inspector?.stripped;
+  return {
+    success: true,
+    url: stored.url,
+    urls: buildPublicUrls(filename),
+    filename,
+    visibility: isPrivate ? "private" : "public",
+    ...(deletion && { deleteToken: deletion.token }),
+    ...(dedupe && { deduplicated }),
+    ...(expiresAt && { expiresAt: expiresAt.toISOString() }),
+    file: {
+      originalName: file.originalFilename,
+      size,
+      type: file.mimetype,
+      ...image,
+    },
+    ...(removed && { sanitized: { removed } }),
+    ...(stripped && { strippedMetadata: stripped }),
+    ...variantResult,
+  };
+}
+
+/**
+ * Validates and uploads a single file as it streams in
+ * Validation failures are returned as a result instead of thrown so batch
+ * uploads can report them per file; storage errors still throw
+ * @param {Object} part - { stream, filename, mimetype } from the parser
+ * @param {Object} context - { budget, apiKey, folder, visibility, expiresIn,
+ *   keepMetadata, variants, dedupe, bodyVerified } where budget is the byte
+ *   budget shared by the whole batch and bodyVerified resolves once the
+ *   request body is known to match its signature
+ */
+async function processFile(
+  { stream, filename: originalFilename, mimetype },
+  {
+    budget,
+    apiKey,
+    folder,
+    visibility,
+    expiresIn,
+    keepMetadata,
+    variants,
+    dedupe,
+    bodyVerified,
+  },
+) {
+  const file = { originalFilename, mimetype };
+  const fail = (error, message) => ({
+    success: false,
+    status: 400,
+    error,
+    message,
+    file: { originalName: originalFilename },
+  });
+
+  // Basic MIME type check
+  if (!ALLOWED_MIME_TYPES.includes(mimetype)) {
+    stream.resume();
+    return fail(
+      "Invalid file type",
+      `Allowed types: ${ALLOWED_MIME_TYPES.join(", ")}`,
+    );
+  }
+
+  // File extension validation
+  let fileExtension;
+  try {
+    fileExtension = validateFileExtension(file);
+  } catch (extensionError) {
+    stream.resume();
+    return fail("File extension validation failed", extensionError.message);
+  }
+
+  const placement = resolvePlacement(
+    apiKey,
+    { folder, visibility, expiresIn, dedupe },
+    originalFilename,
+  );
+  if (placement.failure) {
+    stream.resume();
+    return placement.failure;
+  }
+
+  // Content-addressed keys and {hash} templates need every byte up front
+  const buffered = dedupe || templateNeedsContent(getKeyTemplate());
+  const withVariants = variants && supportsVariants(mimetype);
+
+  // Content is validated while it streams to R2, and photos lose their
+  // EXIF/GPS data on the way unless the caller asked to keep it. Variants
+  // are made from a copy of what was stored.
+  const inspector = inspectUpload(stream, {
+    mimetype,
+    maxSize: API_MAX_FILE_SIZE,
+    budget,
+    stripMetadata: !keepMetadata,
+    retain: withVariants && !buffered ? VARIANT_MAX_SOURCE_SIZE : 0,
+  });
+
+  try {
+    const sanitized = await sanitizeUpload({ ...file, stream: inspector });
+    let image;
+    if (buffered) {
+      // The key is a hash of every stored byte, so the file is buffered
+      // and its details can go in with the upload
+      sanitized.file = await bufferUpload(sanitized.file);
+      image = inspector.imageInfo;
+    } else {
+      // Known from the header in most cases, so it goes in with the upload
+      image = await inspector.headerInfo;
+    }
+    return await finishUpload(sanitized.file, {
+      apiKey,
+      placement,
+      extension: fileExtension,
+      dedupe,
+      variants,
+      label: "API Upload",
+      image,
+      inspector,
+      removed: sanitized.removed,
+      bodyVerified,
+    });
+  } catch (uploadError) {
+    const validationError =
+      inspector.validationError ||
+      (uploadError instanceof SanitizeError && uploadError);
+    if (!validationError) throw uploadError;
+    console.warn(`API file validation failed: ${validationError.message}`);
+    return fail("File validation failed", validationError.message);
+  }
+}
+
+/**
+ * Downloads a file from a URL and runs it through the same validation and
+ * upload pipeline as a multipart file, returning the same result shape
+ * @param {Object} options - { quotaLeft, apiKey, folder, visibility,
+ *   expiresIn, keepMetadata, variants, dedupe } where quotaLeft is what's
+ *   been reserved of the daily quota for the download
+ */
+async function processRemoteFile(
+  url,
+  {
+    quotaLeft,
+    apiKey,
+    folder,
+    visibility,
+    expiresIn,
+    keepMetadata,
+    variants,
+    dedupe,
+  },
+) {
+  const fail = (error, message) => ({
+    success: false,
+    status: 400,
+    error,
+    message,
+    file: { originalName: url },
+  });
+
+  // Checked before anything is downloaded
+  const placement = resolvePlacement(
+    apiKey,
+    { folder, visibility, expiresIn, dedupe },
+    url,
+  );
+  if (placement.failure) return placement.failure;
+
+  let remote;
+  try {
+    remote = await fetchRemoteFile(url, {
+      maxSize: Math.min(API_MAX_FILE_SIZE, quotaLeft),
+      allowPrivateAddresses: process.env.URL_INGEST_ALLOW_PRIVATE === "true",
+    });
+  } catch (fetchError) {
+    console.warn(`API remote fetch failed for ${url}: ${fetchError.message}`);
+    if (
+      fetchError.message === "File too large" &&
+      quotaLeft < API_MAX_FILE_SIZE
+    ) {
+      return {
+        ...fail("Quota exceeded", "Daily upload quota exceeded"),
+        status: 429,
+      };
+    }
+    return fail("Remote fetch failed", fetchError.message);
+  }
+
+  // URLs like /image?id=3 have no extension - borrow one from the MIME type
+  let originalFilename = remote.originalFilename || "download";
+  const remoteType = findFileType(remote.mimetype);
+  if (!originalFilename.includes(".") && remoteType) {
+    originalFilename += "." + remoteType.extensions[0];
+  }
+
+  const file = { ...remote, originalFilename };
 
-function authenticateRequest(req) {
-  const authHeader = req.headers.authorization;
-  const apiKey = req.headers["x-api-key"];
+  // Basic MIME type check
+  if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+    return fail(
+      "Invalid file type",
+      `Allowed types: ${ALLOWED_MIME_TYPES.join(", ")}`,
+    );
+  }
 
-  // Support both Authorization: Bearer <token> and X-API-Key: <token>
-  const token = authHeader?.replace("Bearer ", "") || apiKey;
+  // File validation
+  try {
+    await validateFile(file, { maxSize: API_MAX_FILE_SIZE });
+  } catch (validationError) {
+    console.warn(`API file validation failed: ${validationError.message}`);
+    return fail("File validation failed", validationError.message);
+  }
+
+  // File extension validation
+  let fileExtension;
+  try {
+    fileExtension = validateFileExtension(file);
+  } catch (extensionError) {
+    return fail("File extension validation failed", extensionError.message);
+  }
 
-  if (!token) {
-    throw new Error("Missing authentication token");
+  let sanitized;
+  try {
+    sanitized = await sanitizeUpload(file);
+  } catch (sanitizeError) {
+    if (!(sanitizeError instanceof SanitizeError)) throw sanitizeError;
+    return fail("File validation failed", sanitizeError.message);
   }
 
-  if (token !== process.env.API_SECRET_TOKEN) {
-    throw new Error("Invalid authentication token");
+  // The same metadata stripping streamed uploads get
+  let stripped = null;
+  if (!keepMetadata) {
+    try {
+      const result = stripMetadata(sanitized.file.buffer, file.mimetype);
+      if (result.stripped) {
+        sanitized.file = {
+          ...sanitized.file,
+          buffer: result.buffer,
+          size: result.buffer.length,
+        };
+        stripped = result.stripped;
+      }
+    } catch (stripError) {
+      return fail("File validation failed", stripError.message);
+    }
   }
 
-  return true;
+  return finishUpload(sanitized.file, {
+    apiKey,
+    placement,
+    extension: fileExtension,
+    dedupe,
+    variants,
+    label: "API URL upload",
+    // The whole file is in memory, so its details go in with the upload
+    image: readImageInfo(sanitized.file.buffer, file.mimetype),
+    metadata: {
+      "source-url": encodeMetadataValue(remote.finalUrl.substring(0, 256)),
+    },
+    stripped,
+    removed: sanitized.removed,
+  });
+}
+
+/**
+ * Reads the options that shape how a file is stored from the form fields
+ */
+function uploadOptions(fields) {
+  return {
+    folder: fields.folder,
+    visibility: fields.visibility,
+    expiresIn: fields.expiresIn,
+    keepMetadata: fields.keepMetadata === "true",
+    variants: fields.variants === "true",
+    dedupe: fields.dedupe === "true",
+  };
+}
+
+/**
+ * Finds an option that was sent after a file it would have applied to -
+ * files only see the fields parsed before them, so it was ignored for them
+ * @param {Object} fields - Every field in the form
+ * @param {Array} usedOptions - The uploadOptions each file was handled with
+ * @returns {string|null} The option's name
+ */
+function findLateOption(fields, usedOptions) {
+  const final = uploadOptions(fields);
+  return (
+    Object.keys(final).find((name) =>
+      usedOptions.some((options) => options[name] !== final[name]),
+    ) || null
+  );
+}
+
+/**
+ * Turns a storage error into a per-file result for batch responses
+ */
+function uploadFailure(originalName, uploadError) {
+  console.error(`API upload failed for ${originalName}:`, uploadError);
+  return {
+    success: false,
+    status: 500,
+    error: "Upload failed",
+    message:
+      process.env.NODE_ENV === "production"
+        ? "Internal server error"
+        : uploadError.message,
+    file: { originalName },
+  };
+}
+
+/**
+ * Removes the objects a rejected request managed to upload
+ */
+async function discardUploads(results) {
+  await Promise.allSettled(
+    results
+      // A deduplicated result points at an object that was already there
+      .filter((result) => result.success && !result.deduplicated)
+      .flatMap((result) => [
+        s3.send(
+          new DeleteObjectCommand({
+            Bucket: process.env.S3_BUCKET,
+            Key: result.filename,
+          }),
+        ),
+        ...(result.variants ? [deleteVariants(result.filename)] : []),
+      ]),
+  );
 }
 
 export const config = {
@@ -35,15 +636,7 @@ export const config = {
 };
 
 export default async function handler(req, res) {
-  res.setHeader("Content-Type", "application/json");
-
-  // Set CORS headers for API access
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-  res.setHeader(
-    "Access-Control-Allow-Headers",
-    "Content-Type, Authorization, X-API-Key",
-  );
+  setApiHeaders(res, ["GET", "POST"]);
 
   // Handle preflight requests
   if (req.method === "OPTIONS") {
@@ -52,48 +645,69 @@ export default async function handler(req, res) {
 
   const startTime = Date.now();
 
-  // Set security headers
-  res.setHeader("X-Content-Type-Options", "nosniff");
-  res.setHeader("X-Frame-Options", "DENY");
-  res.setHeader("X-XSS-Protection", "1; mode=block");
-  res.setHeader("Referrer-Policy", "strict-origin-when-cross-origin");
-
   try {
     // Validate environment variables
     validateEnvironment();
 
     // Handle GET request for server ping
     if (req.method === "GET") {
+      let apiKey;
       try {
-        authenticateRequest(req);
-
-        return res.status(200).json({
-          success: true,
-          message: "Server is running and authentication successful",
-          timestamp: new Date().toISOString(),
-          server: {
-            status: "online",
-            version: "1.0.0",
-            uptime: process.uptime(),
-            environment: process.env.NODE_ENV || "development",
-          },
-          api: {
-            endpoint: "/api/v1/upload",
-            supportedMethods: ["GET", "POST"],
-            authentication: "Bearer token or X-API-Key header required",
-            maxFileSize: "10MB",
-            allowedTypes: ALLOWED_MIME_TYPES,
-          },
-          responseTime: Date.now() - startTime,
-        });
+        apiKey = await authenticateRequest(req, "ping", { allowSigned: true });
       } catch (authError) {
+        if (!(authError instanceof AuthError)) throw authError;
         console.warn(`API ping authentication failed: ${authError.message}`);
-        return res.status(401).json({
-          error: "Unauthorized",
+        return res.status(authError.status).json({
+          error: authError.title,
           message: authError.message,
           timestamp: new Date().toISOString(),
         });
       }
+
+      const rateLimit = await checkRateLimit(apiKey);
+      const quota = await getQuotaUsage(apiKey);
+      setRateLimitHeaders(res, rateLimit);
+
+      return res.status(200).json({
+        success: true,
+        message: "Server is running and authentication successful",
+        timestamp: new Date().toISOString(),
+        server: {
+          status: "online",
+          version: "1.0.0",
+          uptime: process.uptime(),
+          environment: process.env.NODE_ENV || "development",
+        },
+        api: {
+          endpoint: "/api/v1/upload",
+          supportedMethods: ["GET", "POST"],
+          authentication: "Bearer token or X-API-Key header required",
+          maxFileSize: `${API_MAX_FILE_SIZE / 1024 / 1024}MB`,
+          maxFiles: API_MAX_FILES,
+          maxBatchSize: `${API_MAX_BATCH_SIZE / 1024 / 1024}MB`,
+          allowedTypes: ALLOWED_MIME_TYPES,
+        },
+        key: {
+          name: apiKey.name,
+          operations: apiKey.operations,
+          prefix: apiKey.prefix,
+          expiresAt: apiKey.expiresAt?.toISOString() || null,
+        },
+        limits: {
+          requests: {
+            limit: rateLimit.limit,
+            remaining: rateLimit.remaining,
+            windowSeconds: API_RATE_LIMIT_WINDOW,
+          },
+          dailyQuota: {
+            limit: quota.limit,
+            used: quota.used,
+            remaining: quota.limit === null ? null : quota.remaining,
+            resetAt: new Date(quota.resetAt).toISOString(),
+          },
+        },
+        responseTime: Date.now() - startTime,
+      });
     }
 
     // Only allow POST requests for file upload
@@ -106,101 +720,252 @@ export default async function handler(req, res) {
     }
 
     // Authenticate request for upload
+    let apiKey;
     try {
-      authenticateRequest(req);
+      apiKey = await authenticateRequest(req, "upload", { allowSigned: true });
     } catch (authError) {
+      if (!(authError instanceof AuthError)) throw authError;
       console.warn(`API authentication failed: ${authError.message}`);
-      return res.status(401).json({
-        error: "Unauthorized",
+      return res.status(authError.status).json({
+        error: authError.title,
         message: authError.message,
       });
     }
 
+    // Per-key throttling so one leaked or buggy client can't fill the bucket
+    const rateLimit = await checkRateLimit(apiKey, { consume: true });
+    setRateLimitHeaders(res, rateLimit);
+    if (!rateLimit.allowed) {
+      console.warn(`API rate limit exceeded for key: ${apiKey.name}`);
+      res.setHeader("Retry-After", rateLimit.retryAfter);
+      return res.status(429).json({
+        error: "Rate limit exceeded",
+        message: `Limited to ${rateLimit.limit} requests per ${API_RATE_LIMIT_WINDOW} seconds`,
+        retryAfter: rateLimit.retryAfter,
+      });
+    }
+
     // Content-Length validation
     const contentLength = parseInt(req.headers["content-length"] || "0");
-    if (contentLength > 12 * 1024 * 1024) {
+    const maxRequestSize = API_MAX_BATCH_SIZE + 2 * 1024 * 1024;
+    if (contentLength > maxRequestSize) {
       return res.status(413).json({
         error: "Request too large",
-        message: "File size exceeds 12MB limit",
+        message: `Request exceeds ${API_MAX_BATCH_SIZE / 1024 / 1024}MB batch limit`,
       });
     }
 
-    // Parse form data
-    const form = formidable({
-      maxFileSize: 10 * 1024 * 1024,
-      maxFields: 5,
-      maxFieldsSize: 2 * 1024,
-      keepExtensions: true,
-      allowEmptyFiles: false,
-    });
-
-    const [fields, files] = await form.parse(req);
+    // Free plan usage - refused before anything is written
+    const usageCheck = await checkUploadUsage({ incomingBytes: contentLength });
+    if (!usageCheck.allowed) {
+      console.warn(
+        `API upload blocked by usage limits for key: ${apiKey.name}`,
+      );
+      return res.status(429).json({
+        error: "Usage limit reached",
+        message: usageCheck.message,
+        usage: usageCheck.usage,
+      });
+    }
 
-    const file = files.file?.[0];
-    if (!file) {
-      return res.status(400).json({
-        error: "No file uploaded",
-        message: "Please provide a file in the 'file' field",
+    // Hold the declared size against the daily quota up front, so requests
+    // running side by side can't all spend the same remaining bytes
+    const declaredSize = Math.min(
+      contentLength || API_MAX_BATCH_SIZE,
+      API_MAX_BATCH_SIZE,
+    );
+    const quota = await reserveQuota(apiKey, declaredSize);
+    if (quota.reserved === 0) {
+      console.warn(`API daily quota exhausted for key: ${apiKey.name}`);
+      res.setHeader("Retry-After", quota.retryAfter);
+      return res.status(429).json({
+        error: "Quota exceeded",
+        message: `Daily upload quota of ${quota.limit} bytes used up`,
+        retryAfter: quota.retryAfter,
       });
     }
 
-    // Basic MIME type check
-    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
-      fs.unlinkSync(file.filepath);
-      return res.status(400).json({
-        error: "Invalid file type",
-        message: `Allowed types: ${ALLOWED_MIME_TYPES.join(", ")}`,
+    const isProduction = process.env.NODE_ENV === "production";
+
+    // Stream every file straight to R2 - nothing touches the disk
+    // The batch can't go past what's been reserved of the daily quota either
+    const budget =
+      quota.reserved < declaredSize
+        ? { remaining: quota.reserved, message: "Daily upload quota exceeded" }
+        : { remaining: API_MAX_BATCH_SIZE };
+    const usedOptions = [];
+    let parsed;
+    try {
+      parsed = await parseMultipartUpload(req, {
+        limits: {
+          files: API_MAX_FILES,
+          fields: 8,
+          fieldSize: 2 * 1024,
+        },
+        hashBody: Boolean(apiKey.contentSha256),
+        onFile: (part) => {
+          const options = uploadOptions(part.fields);
+          usedOptions.push(options);
+          return processFile(part, {
+            ...options,
+            budget,
+            apiKey,
+            bodyVerified: part.bodySha256.then(
+              (bodySha256) =>
+                !apiKey.contentSha256 || apiKey.contentSha256 === bodySha256,
+            ),
+          }).catch((uploadError) => uploadFailure(part.filename, uploadError));
+        },
       });
+    } catch (parseError) {
+      await settleQuota(apiKey, quota, 0);
+      throw parseError;
     }
+    const { fields, results, filesLimitReached, bodySha256 } = parsed;
 
-    // File validation
+    // The files are already in the bucket by the time the whole body has
+    // been hashed, so a tampered request has to take them back out
     try {
-      await validateFile(file);
-    } catch (validationError) {
-      fs.unlinkSync(file.filepath);
-      console.warn(`API file validation failed: ${validationError.message}`);
+      assertSignedBody(apiKey, bodySha256);
+    } catch (authError) {
+      await discardUploads(results);
+      await settleQuota(apiKey, quota, 0);
+      console.warn(`API signed upload rejected: ${authError.message}`);
+      return res.status(authError.status).json({
+        error: authError.title,
+        message: authError.message,
+      });
+    }
+
+    // Hand back whatever of the reservation wasn't stored
+    await settleQuota(
+      apiKey,
+      quota,
+      results
+        .filter((result) => result.success)
+        .reduce((total, result) => total + result.file.size, 0),
+    );
+    let quotaLeft =
+      budget.message && budget.remaining < 0 ? quota.reserved : null;
+
+    // visibility=private sent after the file would otherwise leave it
+    // public without a word - nothing is kept that wasn't stored as asked
+    const lateOption = findLateOption(fields, usedOptions);
+    if (lateOption) {
+      await discardUploads(results);
+      await settleQuota(apiKey, quota, 0);
       return res.status(400).json({
-        error: "File validation failed",
-        message: validationError.message,
+        error: "Fields must precede file parts",
+        message: `"${lateOption}" was sent after a file it applies to - send every field before the file parts`,
       });
     }
 
-    // File extension validation
-    let fileExtension;
-    try {
-      fileExtension = validateFileExtension(file);
-    } catch (extensionError) {
-      fs.unlinkSync(file.filepath);
+    // A 'url' field is an alternative to 'file' - the server fetches it.
+    // Sent alongside files it simply joins the batch
+    if (fields.url) {
+      // The download isn't part of the request's Content-Length, so it gets
+      // a reservation of its own and can't fetch more than that
+      const remoteQuota = await reserveQuota(apiKey, API_MAX_FILE_SIZE);
+      const remoteResult = await processRemoteFile(fields.url, {
+        ...uploadOptions(fields),
+        quotaLeft: remoteQuota.reserved,
+        apiKey,
+      }).catch((uploadError) => uploadFailure(fields.url, uploadError));
+      await settleQuota(
+        apiKey,
+        remoteQuota,
+        remoteResult.success ? remoteResult.file.size : 0,
+      );
+      if (remoteResult.status === 429) quotaLeft = remoteQuota.reserved;
+      results.push(remoteResult);
+    }
+
+    // Nothing got in because the quota ran out mid-request - that's a 429,
+    // not a bad request
+    if (quotaLeft !== null && !results.some((result) => result.success)) {
+      const retryAfter = Math.ceil((quota.resetAt - Date.now()) / 1000);
+      res.setHeader("Retry-After", retryAfter);
+      return res.status(429).json({
+        error: "Quota exceeded",
+        message: `Upload exceeds the ${quotaLeft} bytes left of today's quota`,
+        retryAfter,
+      });
+    }
+
+    if (results.length === 0) {
       return res.status(400).json({
-        error: "File extension validation failed",
-        message: extensionError.message,
+        error: "No file uploaded",
+        message: "Please provide a file in the 'file' field or a 'url'",
       });
     }
 
-    // Generate filename
-    const filename = crypto.randomUUID() + "." + fileExtension;
+    // Single file requests keep the original response shape
+    if (results.length === 1) {
+      const [result] = results;
+      if (!result.success) {
+        return res.status(result.status).json({
+          error: result.error,
+          message: result.message,
+        });
+      }
 
-    // Upload to R2
-    const publicUrl = await uploadToR2(file, filename, "api");
+      return res.status(200).json({
+        success: true,
+        url: result.url,
+        urls: result.urls,
+        filename: result.filename,
+        visibility: result.visibility,
+        deleteToken: result.deleteToken,
+        ...(result.deduplicated !== undefined && {
+          deduplicated: result.deduplicated,
+        }),
+        ...(result.expiresAt && { expiresAt: result.expiresAt }),
+        message: "Upload successful",
+        file: result.file,
+        ...(result.sanitized && { sanitized: result.sanitized }),
+        ...(result.strippedMetadata && {
+          strippedMetadata: result.strippedMetadata,
+        }),
+        ...(result.variants && { variants: result.variants }),
+        ...(result.variantsError && { variantsError: result.variantsError }),
+        ...(!isProduction && {
+          debug: {
+            processingTime: Date.now() - startTime,
+            uploadSource: "api",
+          },
+        }),
+      });
+    }
 
-    // Clean up temp file
-    fs.unlinkSync(file.filepath);
+    // Batch upload - every file gets its own result so one bad file
+    // doesn't throw away the rest
+    const succeeded = results.filter((result) => result.success).length;
+    const failed = results.length - succeeded;
 
-    console.log(`API Upload successful: ${filename} (${file.size} bytes)`);
+    console.log(
+      `API batch upload finished: ${succeeded} succeeded, ${failed} failed`,
+    );
 
-    const isProduction = process.env.NODE_ENV === "production";
+    // 207 Multi-Status when only part of the batch made it
+    let status = 200;
+    if (succeeded === 0) status = 400;
+    else if (failed > 0) status = 207;
 
-    // Return success response
-    return res.status(200).json({
-      success: true,
-      url: publicUrl,
-      filename: filename,
-      message: "Upload successful",
-      file: {
-        originalName: file.originalFilename,
-        size: file.size,
-        type: file.mimetype,
+    return res.status(status).json({
+      success: failed === 0,
+      message: `Uploaded ${succeeded} of ${results.length} files`,
+      results: results.map((result) => {
+        const { status: _status, ...publicResult } = result;
+        return publicResult;
+      }),
+      summary: {
+        total: results.length,
+        succeeded,
+        failed,
       },
+      ...(filesLimitReached && {
+        warning: `Only the first ${API_MAX_FILES} files were processed`,
+      }),
       ...(!isProduction && {
         debug: {
           processingTime: Date.now() - startTime,
@@ -211,17 +976,8 @@ export default async function handler(req, res) {
   } catch (error) {
     console.error(`API error:`, error);
 
-    // Clean up temp files for upload errors
-    if (req.method === "POST") {
-      try {
-        if (req.files?.file?.[0]?.filepath) {
-          fs.unlinkSync(req.files.file[0].filepath);
-        }
-      } catch (cleanupError) {
-        console.error("Cleanup error:", cleanupError);
-      }
-    }
-
+    // Nothing to clean up here - files stream straight to R2 and any
+    // upload still in flight is aborted by the parser
     return res.status(500).json({
       error: req.method === "GET" ? "Ping failed" : "Upload failed",
       message:
@@ -30,4 +30,10 @@ export default [
       ],
     },
   },
+  {
+    files: ['api/**/*.js', 'shared/**/*.js', 'test/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ]
@@ -0,0 +1,272 @@
+// shared/fileTypes.js
+
+/**
+ * File type registry
+ * The one list of what can be uploaded, shared by both upload routes and
+ * the frontend. Runs in the browser too, so it only deals in byte arrays.
+ *
+ * Each type declares:
+ *   label       - name shown to people
+ *   mimeTypes   - canonical MIME type first, then aliases clients send
+ *   extensions  - accepted extensions, the first is used when one is missing
+ *   signatures  - ways the file can start; a signature matches when all of
+ *                 its { offset, bytes } parts do (text types have none)
+ *   brands      - ISO-BMFF types only: ftyp brands to accept, major or
+ *                 compatible, instead of signatures
+ *   genericBrands - brands other formats share too: with these set, the
+ *                 major brand has to be one of brands, or one of these with
+ *                 one of brands among the compatible ones
+ *   excludedBrands - brands that make it another format, wherever they are
+ *   text        - validated as printable text instead of by signature
+ *   marker      - text types only: pattern the start of the file must contain
+ *   maxSize     - cap for this type in bytes, on top of the route's limit
+ *
+ * The canonical MIME type is what gets stored as the object's ContentType.
+ */
+export const FILE_TYPES = [
+  {
+    label: "JPEG",
+    mimeTypes: ["image/jpeg", "image/jpg"],
+    extensions: ["jpg", "jpeg"],
+    signatures: [[{ offset: 0, bytes: [0xff, 0xd8, 0xff] }]],
+    text: false,
+    maxSize: null,
+  },
+  {
+    label: "PNG",
+    mimeTypes: ["image/png"],
+    extensions: ["png"],
+    signatures: [[{ offset: 0, bytes: [0x89, 0x50, 0x4e, 0x47] }]],
+    text: false,
+    maxSize: null,
+  },
+  {
+    label: "GIF",
+    mimeTypes: ["image/gif"],
+    extensions: ["gif"],
+    signatures: [[{ offset: 0, bytes: [0x47, 0x49, 0x46] }]],
+    text: false,
+    maxSize: null,
+  },
+  {
+    label: "WebP",
+    mimeTypes: ["image/webp"],
+    extensions: ["webp"],
+    // RIFF container with the WEBP form type at byte 8 - a bare RIFF header
+    // would let WAV and AVI files through
+    signatures: [
+      [
+        { offset: 0, bytes: [0x52, 0x49, 0x46, 0x46] },
+        { offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] },
+      ],
+    ],
+    text: false,
+    maxSize: null,
+  },
+  {
+    label: "AVIF",
+    mimeTypes: ["image/avif"],
+    extensions: ["avif"],
+    signatures: [],
+    brands: ["avif", "avis"],
+    text: false,
+    maxSize: null,
+  },
+  {
+    label: "HEIC",
+    mimeTypes: ["image/heic", "image/heif"],
+    extensions: ["heic", "heif"],
+    signatures: [],
+    brands: ["heic", "heix", "hevc", "hevx", "heim", "heis"],
+    // Structural HEIF brands - AVIF files carry them too
+    genericBrands: ["mif1", "msf1"],
+    excludedBrands: ["avif", "avis"],
+    text: false,
+    maxSize: null,
+  },
+  {
+    label: "SVG",
+    mimeTypes: ["image/svg+xml"],
+    extensions: ["svg"],
+    signatures: [],
+    text: true,
+    // Has to show up within the sniffed head, after any prolog or comments
+    marker: /<svg[\s>]/i,
+    maxSize: 5 * 1024 * 1024,
+  },
+  {
+    label: "PDF",
+    mimeTypes: ["application/pdf"],
+    extensions: ["pdf"],
+    signatures: [[{ offset: 0, bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] }]], // %PDF-
+    text: false,
+    maxSize: null,
+  },
+  {
+    label: "MP4",
+    mimeTypes: ["video/mp4"],
+    extensions: ["mp4", "m4v"],
+    signatures: [],
+    brands: [
+      "isom",
+      "iso2",
+      "iso3",
+      "iso4",
+      "iso5",
+      "iso6",
+      "mp41",
+      "mp42",
+      "avc1",
+      "dash",
+      "M4V ",
+    ],
+    text: false,
+    maxSize: null,
+  },
+  {
+    label: "Markdown",
+    mimeTypes: ["text/markdown", "text/x-markdown"],
+    extensions: ["md", "markdown"],
+    signatures: [],
+    text: true,
+    maxSize: 5 * 1024 * 1024,
+  },
+];
+
+/**
+ * Size limit of the anonymous web upload route - the frontend checks it
+ * before sending anything, the route enforces it
+ */
+export const MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+/**
+ * Every MIME type (aliases included) that can be uploaded
+ */
+export const ALLOWED_MIME_TYPES = FILE_TYPES.flatMap((type) => type.mimeTypes);
+
+/**
+ * Maps a MIME type alias to its type's canonical one (image/jpg -> image/jpeg)
+ * @returns {string} Canonical MIME type, or the input if it isn't registered
+ */
+export function canonicalMimeType(mimetype) {
+  return findFileType(mimetype)?.mimeTypes[0] || mimetype;
+}
+
+/**
+ * Looks up a type by any of its MIME types
+ * @returns {Object|null} Registry entry
+ */
+export function findFileType(mimetype) {
+  const normalized = String(mimetype || "").toLowerCase();
+  return FILE_TYPES.find((type) => type.mimeTypes.includes(normalized)) || null;
+}
+
+/**
+ * Looks up a type by extension, for browsers that don't report a MIME type
+ * @returns {Object|null} Registry entry
+ */
+export function findFileTypeByExtension(filename) {
+  const extension = getExtension(filename);
+  return FILE_TYPES.find((type) => type.extensions.includes(extension)) || null;
+}
+
+/**
+ * Lowercased text after the last dot, or "" if there is none
+ */
+export function getExtension(filename) {
+  const name = String(filename || "");
+  return name.includes(".") ? name.split(".").pop().toLowerCase() : "";
+}
+
+/**
+ * Checks a file's leading bytes against its type
+ * @param {Object} type - Registry entry
+ * @param {Uint8Array} head - First bytes of the file
+ * @returns {boolean} Whether the content matches the declared type
+ */
+export function matchesFileType(type, head) {
+  if (!head || head.length === 0) return false;
+
+  if (type.text) {
+    if (!looksLikeText(head)) return false;
+    return !type.marker || type.marker.test(decodeText(head));
+  }
+
+  if (type.brands) return matchesBrand(head, type);
+
+  return type.signatures.some((signature) =>
+    signature.every(({ offset, bytes }) =>
+      bytes.every((byte, index) => head[offset + index] === byte),
+    ),
+  );
+}
+
+/**
+ * Checks the ftyp box an ISO-BMFF file (MP4, AVIF, HEIC...) starts with:
+ * [size:4]["ftyp":4][major brand:4][minor version:4][compatible brands...]
+ */
+function matchesBrand(head, { brands, genericBrands, excludedBrands }) {
+  if (head.length < 16 || decodeText(head.subarray(4, 8)) !== "ftyp") {
+    return false;
+  }
+
+  const boxSize =
+    ((head[0] << 24) | (head[1] << 16) | (head[2] << 8) | head[3]) >>> 0;
+  const end = Math.min(boxSize, head.length);
+
+  const found = [decodeText(head.subarray(8, 12))];
+  for (let offset = 16; offset + 4 <= end; offset += 4) {
+    found.push(decodeText(head.subarray(offset, offset + 4)));
+  }
+
+  if (excludedBrands?.some((brand) => found.includes(brand))) return false;
+  if (!genericBrands) return found.some((brand) => brands.includes(brand));
+
+  const [major, ...compatible] = found;
+  return (
+    brands.includes(major) ||
+    (genericBrands.includes(major) &&
+      compatible.some((brand) => brands.includes(brand)))
+  );
+}
+
+function decodeText(bytes) {
+  return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Basic heuristic for text: no NULs, and no more than 30% control
+ * characters other than TAB, LF and CR
+ */
+function looksLikeText(head) {
+  let nonPrintable = 0;
+  for (const byte of head) {
+    if (byte === 0) return false; // definitely binary
+    if (byte < 32 && byte !== 9 && byte !== 10 && byte !== 13) {
+      nonPrintable++;
+    }
+  }
+  return nonPrintable / head.length <= 0.3;
+}
+
+/**
+ * Size limit for a type on a route - whichever of the two is lower
+ */
+export function maxSizeFor(type, routeLimit) {
+  return type?.maxSize ? Math.min(type.maxSize, routeLimit) : routeLimit;
+}
+
+/**
+ * Human-readable list of the supported types, e.g. "JPEG, PNG, GIF"
+ */
+export function describeFileTypes() {
+  return FILE_TYPES.map((type) => type.label).join(", ");
+}
+
+/**
+ * Value for an <input type="file"> accept attribute
+ */
+export const ACCEPT_ATTRIBUTE = FILE_TYPES.flatMap((type) => [
+  ...type.mimeTypes,
+  ...type.extensions.map((extension) => `.${extension}`),
+]).join(",");
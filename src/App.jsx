@@ -1,12 +1,24 @@
 import { useState, useRef, useEffect } from "react";
+import {
+  ACCEPT_ATTRIBUTE,
+  MAX_FILE_SIZE,
+  describeFileTypes,
+  findFileType,
+  findFileTypeByExtension,
+  maxSizeFor,
+} from "../shared/fileTypes.js";
 
 function App() {
   const [url, setUrl] = useState(null);
+  const [previewUrl, setPreviewUrl] = useState(null);
   const [uploading, setUploading] = useState(false);
   const [error, setError] = useState(null);
   const [uploadProgress, setUploadProgress] = useState(0);
   const [dragActive, setDragActive] = useState(false);
   const [copied, setCopied] = useState(false);
+  const [deletion, setDeletion] = useState(null);
+  const [deleting, setDeleting] = useState(false);
+  const [withVariants, setWithVariants] = useState(false);
   const [usage, setUsage] = useState(null);
   const [loadingUsage, setLoadingUsage] = useState(false);
   const [usageError, setUsageError] = useState(null);
@@ -76,15 +88,9 @@ function App() {
     return "bg-gradient-to-r from-green-400 to-green-600";
   };
 
-  const isUploadBlocked = () => {
-    if (!usage) return false;
-    return (
-      usage.shouldBlockUploads ||
-      usage.storage?.percentage >= 50 ||
-      usage.classA?.percentage >= 50 ||
-      usage.classB?.percentage >= 50
-    );
-  };
+  // The server owns the threshold and refuses blocked uploads itself - this
+  // just saves a doomed request
+  const isUploadBlocked = () => Boolean(usage?.shouldBlockUploads);
 
   const handleUpload = async (e) => {
     const file = e.target.files[0];
@@ -92,6 +98,8 @@ function App() {
     // Reset states
     setError(null);
     setUrl(null);
+    setPreviewUrl(null);
+    setDeletion(null);
     setUploadProgress(0);
 
     if (!file) return;
@@ -104,23 +112,20 @@ function App() {
       return;
     }
 
-    // File size validation (10MB limit)
-    const maxSize = 10 * 1024 * 1024;
-    if (file.size > maxSize) {
-      setError("File size must be less than 10MB");
+    // File type validation - browsers often don't know what a .md file is,
+    // so fall back to the extension
+    const fileType =
+      findFileType(file.type) ||
+      (!file.type && findFileTypeByExtension(file.name));
+    if (!fileType) {
+      setError(`Only ${describeFileTypes()} files are allowed`);
       return;
     }
 
-    // File type validation
-    const allowedTypes = [
-      "image/jpeg",
-      "image/jpg",
-      "image/png",
-      "image/gif",
-      "image/webp",
-    ];
-    if (!allowedTypes.includes(file.type)) {
-      setError("Only image files (JPEG, PNG, GIF, WebP) are allowed");
+    // File size validation
+    const maxSize = maxSizeFor(fileType, MAX_FILE_SIZE);
+    if (file.size > maxSize) {
+      setError(`File size must be less than ${maxSize / 1024 / 1024}MB`);
       return;
     }
 
@@ -139,7 +144,16 @@ function App() {
 
     try {
       const form = new FormData();
-      form.append("file", file);
+      // Resized copies cost three extra writes, so they're opt-in. Fields
+      // have to come before the file
+      if (withVariants) form.append("variants", "true");
+      // Send the registry's MIME type when the browser didn't provide one
+      form.append(
+        "file",
+        file.type
+          ? file
+          : new File([file], file.name, { type: fileType.mimeTypes[0] }),
+      );
 
       const res = await fetch("/api/upload", {
         method: "POST",
@@ -181,9 +195,19 @@ function App() {
           throw new Error(data.error || `Upload failed: ${res.statusText}`);
         }
       } else {
+        // url is already in the style the server is configured to hand out
         setUrl(data.url);
+        setPreviewUrl(
+          (data.variants?.find((variant) => variant.name === "medium") || data)
+            .url,
+        );
         setUploadProgress(100);
 
+        // Keep the deletion token so the upload can be taken down later
+        if (data.filename && data.deleteToken) {
+          setDeletion({ filename: data.filename, token: data.deleteToken });
+        }
+
         // Update usage after successful upload
         // The new API should return updated usage in the response
         if (data.usage) {
@@ -272,6 +296,8 @@ function App() {
 
   const clearFile = () => {
     setUrl(null);
+    setPreviewUrl(null);
+    setDeletion(null);
     setError(null);
     setUploadProgress(0);
     if (fileInputRef.current) {
@@ -279,6 +305,31 @@ function App() {
     }
   };
 
+  const takeDown = async () => {
+    if (!deletion) return;
+    setDeleting(true);
+    try {
+      const res = await fetch(
+        `/api/v1/objects/${encodeURIComponent(deletion.filename)}`,
+        {
+          method: "DELETE",
+          headers: { "X-Delete-Token": deletion.token },
+        },
+      );
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.message || data.error || "Delete failed");
+      }
+      clearFile();
+      setTimeout(fetchUsage, 2000);
+    } catch (err) {
+      console.error("Failed to delete upload:", err);
+      setError(err.message || "Delete failed. Please try again.");
+    } finally {
+      setDeleting(false);
+    }
+  };
+
   const copyToClipboard = async () => {
     try {
       await navigator.clipboard.writeText(url);
@@ -560,21 +611,33 @@ function App() {
               </div>
               <div className="text-xl font-semibold text-gray-700 mb-2">
                 {dragActive
-                  ? "Drop your image here!"
+                  ? "Drop your file here!"
                   : "Click or drag to upload"}
               </div>
               <div className="text-sm text-gray-500">
-                Supports JPEG, PNG, GIF, WebP • Max 10MB
+                Supports {describeFileTypes()} • Max{" "}
+                {MAX_FILE_SIZE / 1024 / 1024}MB
               </div>
             </div>
           )}
         </div>
 
+        <label className="flex items-center justify-center gap-2 text-sm text-gray-600 -mt-4 mb-8 cursor-pointer select-none">
+          <input
+            type="checkbox"
+            checked={withVariants}
+            onChange={(e) => setWithVariants(e.target.checked)}
+            disabled={uploading}
+            className="accent-purple-600"
+          />
+          <span>Also make resized copies (thumbnail, small, medium)</span>
+        </label>
+
         <input
           ref={fileInputRef}
           type="file"
           onChange={handleUpload}
-          accept="image/*"
+          accept={ACCEPT_ATTRIBUTE}
           disabled={uploading || isUploadBlocked()}
           className="hidden"
         />
@@ -605,7 +668,7 @@ function App() {
             {/* Preview */}
             <div className="mb-6 text-center">
               <img
-                src={url}
+                src={previewUrl || url}
                 alt="Uploaded file"
                 className="max-w-full max-h-60 rounded-xl shadow-lg border border-gray-200 transition-transform duration-300 hover:scale-105 mx-auto"
                 onError={(e) => {
@@ -643,12 +706,31 @@ function App() {
                 <span>🗑️</span>
                 <span>Clear</span>
               </button>
+
+              {deletion && (
+                <button
+                  onClick={takeDown}
+                  disabled={deleting}
+                  className="flex-1 min-w-fit bg-white text-red-600 border-2 border-red-600 px-6 py-3 rounded-lg font-semibold text-sm transition-all duration-200 hover:-translate-y-1 hover:shadow-lg flex items-center justify-center gap-2 disabled:opacity-50"
+                >
+                  <span>{deleting ? "⟳" : "🚫"}</span>
+                  <span>{deleting ? "Deleting..." : "Take Down"}</span>
+                </button>
+              )}
             </div>
 
             {/* URL Display */}
             <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 font-mono text-xs text-gray-600 break-all leading-relaxed">
               {url}
             </div>
+
+            {/* Deletion Token */}
+            {deletion && (
+              <div className="mt-3 text-xs text-gray-500 break-all">
+                Deletion token (keep it to take this file down later):{" "}
+                <span className="font-mono">{deletion.token}</span>
+              </div>
+            )}
           </div>
         )}
       </div>
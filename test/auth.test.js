@@ -0,0 +1,176 @@
+// test/auth.test.js
+import { before, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import {
+  AuthError,
+  EMPTY_BODY_SHA256,
+  SIGNATURE_MAX_SKEW,
+  assertSignedBody,
+  authenticateRequest,
+  buildStringToSign,
+} from "../api/utils/auth.js";
+import { getRateLimitStore } from "../api/utils/rateLimitStore.js";
+
+const SECRET = "test-signing-secret";
+
+/**
+ * A request signed the way a client would, with overrides applied after
+ * signing - so changing anything there breaks the signature
+ */
+function signedRequest({
+  method = "POST",
+  url = "/api/v1/upload",
+  body = "hello",
+  keyId = "signer",
+  secret = SECRET,
+  timestamp = Math.floor(Date.now() / 1000),
+  nonce = crypto.randomBytes(16).toString("base64url"),
+  headers = {},
+} = {}) {
+  const contentSha256 = crypto.createHash("sha256").update(body).digest("hex");
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(
+      buildStringToSign({
+        method,
+        path: url,
+        timestamp: String(timestamp),
+        nonce,
+        contentSha256,
+      }),
+    )
+    .digest("hex");
+
+  return {
+    method,
+    url,
+    headers: {
+      "x-key-id": keyId,
+      "x-timestamp": String(timestamp),
+      "x-nonce": nonce,
+      "x-content-sha256": contentSha256,
+      "x-signature": signature,
+      ...headers,
+    },
+  };
+}
+
+const authenticate = (req) =>
+  authenticateRequest(req, "upload", { allowSigned: true });
+
+describe("signed requests", () => {
+  before(() => {
+    process.env.API_KEYS = JSON.stringify([
+      { name: "signer", key: SECRET, operations: ["ping", "upload"] },
+    ]);
+  });
+
+  it("accepts a correctly signed request", async () => {
+    const apiKey = await authenticate(signedRequest());
+
+    assert.equal(apiKey.name, "signer");
+    assert.equal(
+      apiKey.contentSha256,
+      crypto.createHash("sha256").update("hello").digest("hex"),
+    );
+  });
+
+  it("refuses a wrong signature or an unknown key", async () => {
+    await assert.rejects(authenticate(signedRequest({ secret: "guess" })), {
+      message: "Invalid request signature",
+      status: 401,
+    });
+    await assert.rejects(authenticate(signedRequest({ keyId: "nobody" })), {
+      message: "Invalid request signature",
+    });
+  });
+
+  it("refuses timestamps outside the skew window", async () => {
+    const now = Math.floor(Date.now() / 1000);
+
+    for (const timestamp of [
+      now - SIGNATURE_MAX_SKEW - 10,
+      now + SIGNATURE_MAX_SKEW + 10,
+    ]) {
+      await assert.rejects(authenticate(signedRequest({ timestamp })), {
+        message: `Request timestamp is outside the ${SIGNATURE_MAX_SKEW}s window`,
+      });
+    }
+  });
+
+  it("refuses a replayed nonce", async () => {
+    const req = signedRequest();
+    await authenticate(req);
+
+    await assert.rejects(authenticate(req), {
+      message: "Request nonce has already been used",
+    });
+  });
+
+  it("doesn't burn a nonce on a badly signed request", async () => {
+    const nonce = crypto.randomBytes(16).toString("base64url");
+    await assert.rejects(
+      authenticate(signedRequest({ nonce, secret: "guess" })),
+    );
+
+    assert.equal((await authenticate(signedRequest({ nonce }))).name, "signer");
+  });
+
+  it("refuses a body hash swapped after signing", async () => {
+    const tampered = crypto.createHash("sha256").update("evil").digest("hex");
+
+    await assert.rejects(
+      authenticate(
+        signedRequest({ headers: { "x-content-sha256": tampered } }),
+      ),
+      { message: "Invalid request signature" },
+    );
+  });
+
+  it("refuses a body that doesn't match the signed hash", async () => {
+    const apiKey = await authenticate(signedRequest());
+    const delivered = crypto.createHash("sha256").update("evil").digest("hex");
+
+    assert.throws(() => assertSignedBody(apiKey, delivered), {
+      message: "Request body does not match X-Content-SHA256",
+      status: 401,
+    });
+    assert.doesNotThrow(() => assertSignedBody(apiKey, apiKey.contentSha256));
+  });
+
+  it("wants the empty-body hash on GET", async () => {
+    await assert.rejects(authenticate(signedRequest({ method: "GET" })), {
+      message: "X-Content-SHA256 must be the empty-body hash on GET",
+    });
+
+    const apiKey = await authenticate(
+      signedRequest({ method: "GET", body: "" }),
+    );
+    assert.equal(apiKey.contentSha256, EMPTY_BODY_SHA256);
+  });
+
+  it("answers 503 when nonces can't be checked", async () => {
+    const claim = mock.method(getRateLimitStore(), "claim", async () => {
+      throw new Error("connection refused");
+    });
+    mock.method(console, "error", () => {});
+
+    try {
+      await assert.rejects(authenticate(signedRequest()), (error) => {
+        assert.ok(error instanceof AuthError);
+        assert.equal(error.status, 503);
+        return true;
+      });
+      assert.equal(claim.mock.callCount(), 1);
+    } finally {
+      mock.restoreAll();
+    }
+  });
+
+  it("isn't accepted where the body can't be checked", async () => {
+    await assert.rejects(authenticateRequest(signedRequest(), "upload"), {
+      message: "Signed requests are not supported on this endpoint",
+    });
+  });
+});
@@ -0,0 +1,50 @@
+// test/fileTypes.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { findFileType, matchesFileType } from "../shared/fileTypes.js";
+
+/**
+ * Builds the ftyp box an ISO-BMFF file starts with
+ */
+function ftyp(major, ...compatible) {
+  const brands = [major, "\0\0\0\0", ...compatible].join("");
+  const box = Buffer.alloc(8 + brands.length);
+  box.writeUInt32BE(box.length, 0);
+  box.write(`ftyp${brands}`, 4, "latin1");
+  return box;
+}
+
+const heic = findFileType("image/heic");
+const avif = findFileType("image/avif");
+
+describe("matchesFileType", () => {
+  it("accepts HEIC files by their HEVC brand", () => {
+    assert.equal(matchesFileType(heic, ftyp("heic", "mif1", "heic")), true);
+    assert.equal(matchesFileType(heic, ftyp("heix", "mif1")), true);
+    assert.equal(matchesFileType(heic, ftyp("mif1", "mif1", "heic")), true);
+    assert.equal(matchesFileType(heic, ftyp("msf1", "msf1", "hevc")), true);
+  });
+
+  it("doesn't take AVIF files for HEIC", () => {
+    const avifFile = ftyp("avif", "mif1", "miaf");
+
+    assert.equal(matchesFileType(heic, avifFile), false);
+    assert.equal(matchesFileType(heic, ftyp("mif1", "mif1", "avif")), false);
+    assert.equal(matchesFileType(avif, avifFile), true);
+  });
+
+  it("wants more than a structural brand for HEIC", () => {
+    assert.equal(matchesFileType(heic, ftyp("mif1", "mif1", "miaf")), false);
+    assert.equal(matchesFileType(heic, ftyp("isom", "heic")), false);
+  });
+
+  it("checks signatures for everything else", () => {
+    const png = findFileType("image/png");
+
+    assert.equal(
+      matchesFileType(png, Buffer.from("\x89PNG\r\n", "latin1")),
+      true,
+    );
+    assert.equal(matchesFileType(png, Buffer.from("GIF89a")), false);
+  });
+});
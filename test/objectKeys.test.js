@@ -0,0 +1,177 @@
+// test/objectKeys.test.js
+import { afterEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_KEY_TEMPLATE,
+  buildObjectKey,
+  getKeyTemplate,
+  getPrivatePrefix,
+  isPrivateKey,
+  isReservedKey,
+  normalizeFolder,
+  parseExpiringKey,
+  withExpiry,
+} from "../api/utils/objectKeys.js";
+
+/**
+ * Sets environment variables for one test, restoring them afterwards
+ */
+const saved = new Map();
+function setEnv(name, value) {
+  if (!saved.has(name)) saved.set(name, process.env[name]);
+  if (value === undefined) delete process.env[name];
+  else process.env[name] = value;
+}
+
+afterEach(() => {
+  for (const [name, value] of saved) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+  saved.clear();
+});
+
+describe("normalizeFolder", () => {
+  it("reads a missing folder as the key's own prefix", () => {
+    for (const folder of [undefined, null, "", "/", "///"]) {
+      assert.equal(normalizeFolder(folder), "", String(folder));
+    }
+  });
+
+  it("trims slashes, so a leading one can't make a folder absolute", () => {
+    assert.equal(normalizeFolder("/avatars/2024/"), "avatars/2024");
+    assert.equal(normalizeFolder("//etc/passwd"), "etc/passwd");
+  });
+
+  it("refuses traversal and backslashes", () => {
+    for (const folder of [
+      "..",
+      "a/../b",
+      "a/./b",
+      "a//b",
+      "a\\b",
+      "..\\..\\etc",
+      "a/b c",
+      "café",
+    ]) {
+      assert.throws(
+        () => normalizeFolder(folder),
+        /Invalid folder segment/,
+        folder,
+      );
+    }
+  });
+
+  it("refuses anything but a string", () => {
+    assert.throws(() => normalizeFolder(["a"]), {
+      message: "Folder has to be a string",
+    });
+  });
+
+  it("caps the depth", () => {
+    assert.equal(normalizeFolder("1/2/3/4/5/6/7/8"), "1/2/3/4/5/6/7/8");
+    assert.throws(() => normalizeFolder("1/2/3/4/5/6/7/8/9"), {
+      message: "Folders can be at most 8 levels deep",
+    });
+  });
+
+  it("can't be used to step out of a key's prefix", () => {
+    const key = buildObjectKey({
+      extension: "png",
+      prefix: "ci/",
+      folder: normalizeFolder("/builds/42/"),
+    });
+
+    assert.match(key, /^ci\/builds\/42\/[0-9a-f-]{36}\.png$/);
+  });
+});
+
+describe("private and reserved folders", () => {
+  it("spots a public folder that would land in the private prefix", () => {
+    assert.equal(isPrivateKey(`${normalizeFolder("/private/x/")}/`), true);
+    assert.equal(isPrivateKey(`${normalizeFolder("privateer")}/`), false);
+  });
+
+  it("follows PRIVATE_PREFIX", () => {
+    setEnv("PRIVATE_PREFIX", "/hidden/");
+    assert.equal(getPrivatePrefix(), "hidden/");
+    assert.equal(isPrivateKey("hidden/a.png"), true);
+
+    setEnv("PRIVATE_PREFIX", "../up");
+    assert.throws(() => getPrivatePrefix(), /Invalid folder segment/);
+  });
+
+  it("reserves the internal prefix and the expiry folders", () => {
+    for (const key of [
+      "private/.internal/",
+      "private/.internal/anything/",
+      "expires/",
+      "expires/2026-10-18T13/",
+      "private/expires/",
+    ]) {
+      assert.equal(isReservedKey(key), true, key);
+    }
+    for (const key of ["ci/", "ci/expires/", "private/ci/", "expired/"]) {
+      assert.equal(isReservedKey(key), false, key);
+    }
+  });
+
+  it("moves expiring keys into their hour folder and back", () => {
+    const expiresAt = new Date("2026-10-18T12:30:00Z");
+
+    for (const key of ["ci/a.png", "private/ci/a.png"]) {
+      const expiring = withExpiry(key, expiresAt);
+      assert.equal(
+        expiring,
+        key.replace(/^(private\/)?/, "$1expires/2026-10-18T13/"),
+      );
+      assert.equal(parseExpiringKey(expiring).key, key);
+    }
+    assert.equal(withExpiry("ci/a.png", null), "ci/a.png");
+    assert.equal(parseExpiringKey("ci/a.png"), null);
+    assert.equal(parseExpiringKey("expires/not-an-hour/a.png"), null);
+  });
+});
+
+describe("getKeyTemplate", () => {
+  it("defaults to a UUID", () => {
+    setEnv("OBJECT_KEY_TEMPLATE", undefined);
+    assert.equal(getKeyTemplate(), DEFAULT_KEY_TEMPLATE);
+  });
+
+  it("accepts templates that make unique keys", () => {
+    for (const template of [
+      "{yyyy}/{mm}/{dd}/{slug}-{short-id}.{ext}",
+      "{source}/{hash}.{ext}",
+    ]) {
+      setEnv("OBJECT_KEY_TEMPLATE", template);
+      assert.equal(getKeyTemplate(), template);
+    }
+  });
+
+  it("refuses unknown tokens", () => {
+    setEnv("OBJECT_KEY_TEMPLATE", "{uuid}-{name}.{ext}");
+    assert.throws(() => getKeyTemplate(), {
+      message: "OBJECT_KEY_TEMPLATE has unknown tokens: {name}",
+    });
+  });
+
+  it("wants the extension at the end", () => {
+    setEnv("OBJECT_KEY_TEMPLATE", "{uuid}");
+    assert.throws(() => getKeyTemplate(), {
+      message: 'OBJECT_KEY_TEMPLATE has to end in ".{ext}"',
+    });
+  });
+
+  it("refuses templates that could give two uploads the same key", () => {
+    setEnv("OBJECT_KEY_TEMPLATE", "{yyyy}/{slug}.{ext}");
+    assert.throws(() => getKeyTemplate(), /needs one of \{uuid\}/);
+  });
+
+  it("refuses folders a key prefix couldn't contain", () => {
+    for (const template of ["../{uuid}.{ext}", "{yyyy}\\{mm}/{uuid}.{ext}"]) {
+      setEnv("OBJECT_KEY_TEMPLATE", template);
+      assert.throws(() => getKeyTemplate(), /Invalid folder segment/, template);
+    }
+  });
+});
@@ -0,0 +1,109 @@
+// test/rateLimit.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  getQuotaUsage,
+  refundPresignedUpload,
+  reserveQuota,
+  settleQuota,
+} from "../api/utils/rateLimit.js";
+
+// The quota counters live in the default in-memory store, one per key name
+let keys = 0;
+const keyWithQuota = (dailyQuota) => ({
+  name: `quota-test-${++keys}`,
+  dailyQuota,
+});
+
+describe("reserveQuota", () => {
+  it("reserves the whole amount while the quota has room", async () => {
+    const apiKey = keyWithQuota(1000);
+    const reservation = await reserveQuota(apiKey, 400);
+
+    assert.equal(reservation.reserved, 400);
+    assert.equal(reservation.limit, 1000);
+    assert.equal((await getQuotaUsage(apiKey)).used, 400);
+  });
+
+  it("never gives two concurrent requests the same bytes", async () => {
+    const apiKey = keyWithQuota(1000);
+    const reservations = await Promise.all(
+      [600, 600, 600].map((bytes) => reserveQuota(apiKey, bytes)),
+    );
+
+    assert.equal(
+      reservations.reduce((total, { reserved }) => total + reserved, 0),
+      1000,
+    );
+    assert.equal((await getQuotaUsage(apiKey)).used, 1000);
+  });
+
+  it("reserves nothing once the quota is used up", async () => {
+    const apiKey = keyWithQuota(100);
+    await reserveQuota(apiKey, 100);
+    const reservation = await reserveQuota(apiKey, 50);
+
+    assert.equal(reservation.reserved, 0);
+    assert.ok(reservation.retryAfter > 0);
+    assert.equal((await getQuotaUsage(apiKey)).used, 100);
+  });
+
+  it("reserves everything when the quota is switched off", async () => {
+    const apiKey = keyWithQuota(0);
+    const reservation = await reserveQuota(apiKey, 5000);
+
+    assert.equal(reservation.reserved, 5000);
+    assert.equal(reservation.limit, null);
+  });
+});
+
+describe("settleQuota", () => {
+  it("hands back what went unused", async () => {
+    const apiKey = keyWithQuota(1000);
+    const reservation = await reserveQuota(apiKey, 800);
+    await settleQuota(apiKey, reservation, 300);
+
+    assert.equal((await getQuotaUsage(apiKey)).used, 300);
+  });
+
+  it("never charges past the reservation", async () => {
+    const apiKey = keyWithQuota(1000);
+    const reservation = await reserveQuota(apiKey, 100);
+    await settleQuota(apiKey, reservation, 250);
+
+    assert.equal((await getQuotaUsage(apiKey)).used, 100);
+  });
+});
+
+describe("refundPresignedUpload", () => {
+  // What presign stores with a pending upload
+  const pendingMetadata = (apiKey, reservation) => ({
+    "upload-time": new Date(reservation.reservedAt).toISOString(),
+    "file-size": String(reservation.reserved),
+    "upload-source": `api:${apiKey.name}`,
+  });
+
+  it("hands the reservation back once per pending upload", async () => {
+    const apiKey = keyWithQuota(1000);
+    const reservation = await reserveQuota(apiKey, 700);
+    const metadata = pendingMetadata(apiKey, reservation);
+    const pendingKey = `private/.internal/expires/x/${apiKey.name}.png`;
+
+    await refundPresignedUpload(pendingKey, metadata);
+    await refundPresignedUpload(pendingKey, metadata);
+
+    assert.equal((await getQuotaUsage(apiKey)).used, 0);
+  });
+
+  it("leaves another day's counter alone", async () => {
+    const apiKey = keyWithQuota(1000);
+    const reservation = await reserveQuota(apiKey, 700);
+
+    await refundPresignedUpload(`${apiKey.name}.png`, {
+      ...pendingMetadata(apiKey, reservation),
+      "upload-time": "2020-01-01T12:00:00.000Z",
+    });
+
+    assert.equal((await getQuotaUsage(apiKey)).used, 700);
+  });
+});
@@ -0,0 +1,124 @@
+// test/rateLimitStore.test.js
+import { after, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { setTimeout as sleep } from "timers/promises";
+import {
+  MemoryRateLimitStore,
+  RedisRateLimitStore,
+} from "../api/utils/rateLimitStore.js";
+
+/**
+ * The same checks for every store - they all promise the same interface
+ */
+function describeStore(name, createStore, options) {
+  describe(name, options, () => {
+    const store = createStore();
+
+    after(() => store.client?.quit());
+
+    describe("hit", () => {
+      it("allows requests up to the limit", async () => {
+        const window = { limit: 2, windowMs: 60_000 };
+        const first = await store.hit("hit:limit", window);
+        const second = await store.hit("hit:limit", window);
+        const third = await store.hit("hit:limit", window);
+
+        assert.deepEqual(
+          [first, second, third].map(({ allowed, count }) => ({
+            allowed,
+            count,
+          })),
+          [
+            { allowed: true, count: 1 },
+            { allowed: true, count: 2 },
+            { allowed: false, count: 2 },
+          ],
+        );
+        // The window frees up when the first request ages out
+        assert.equal(third.resetAt, first.resetAt);
+        assert.ok(third.resetAt > Date.now());
+      });
+
+      it("only counts the request when asked to", async () => {
+        const window = { limit: 1, windowMs: 60_000 };
+        const peek = await store.hit("hit:peek", { ...window, consume: false });
+        const consumed = await store.hit("hit:peek", window);
+
+        assert.equal(peek.allowed, true);
+        assert.equal(peek.count, 0);
+        assert.equal(consumed.allowed, true);
+        assert.equal(consumed.count, 1);
+      });
+
+      it("lets requests through again once the window has passed", async () => {
+        const window = { limit: 1, windowMs: 100 };
+        await store.hit("hit:slide", window);
+        assert.equal((await store.hit("hit:slide", window)).allowed, false);
+
+        await sleep(150);
+        assert.equal((await store.hit("hit:slide", window)).allowed, true);
+      });
+
+      it("keeps keys apart", async () => {
+        const window = { limit: 1, windowMs: 60_000 };
+        await store.hit("hit:one", window);
+
+        assert.equal((await store.hit("hit:two", window)).allowed, true);
+      });
+    });
+
+    describe("increment", () => {
+      it("adds up and returns the new total", async () => {
+        assert.equal(await store.increment("count:total", 5, 60_000), 5);
+        assert.equal(await store.increment("count:total", 7, 60_000), 12);
+        assert.equal(await store.get("count:total"), 12);
+      });
+
+      it("takes negative amounts to hand bytes back", async () => {
+        await store.increment("count:refund", 10, 60_000);
+        assert.equal(await store.increment("count:refund", -4, 60_000), 6);
+      });
+
+      it("reads an unset counter as 0", async () => {
+        assert.equal(await store.get("count:unset"), 0);
+      });
+
+      it("expires a counter from when it was created", async () => {
+        await store.increment("count:ttl", 1, 200);
+        await sleep(120);
+        // Doesn't push the expiry back
+        await store.increment("count:ttl", 1, 200);
+        assert.equal(await store.get("count:ttl"), 2);
+
+        await sleep(150);
+        assert.equal(await store.get("count:ttl"), 0);
+      });
+    });
+
+    describe("claim", () => {
+      it("only succeeds for the first caller", async () => {
+        assert.equal(await store.claim("claim:once", 60_000), true);
+        assert.equal(await store.claim("claim:once", 60_000), false);
+      });
+
+      it("can be claimed again once it has expired", async () => {
+        assert.equal(await store.claim("claim:ttl", 100), true);
+        await sleep(150);
+        assert.equal(await store.claim("claim:ttl", 100), true);
+      });
+    });
+  });
+}
+
+describeStore("MemoryRateLimitStore", () => new MemoryRateLimitStore());
+
+// Every run gets its own key prefix, so it never sees another run's keys
+describeStore(
+  "RedisRateLimitStore",
+  () =>
+    new RedisRateLimitStore(process.env.REDIS_URL, {
+      keyPrefix: `ratelimit-test:${crypto.randomUUID()}:`,
+    }),
+  { skip: !process.env.REDIS_URL && "REDIS_URL is not set" },
+);
@@ -0,0 +1,208 @@
+// test/remoteFetch.test.js
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { fetchRemoteFile, isBlockedAddress } from "../api/utils/remoteFetch.js";
+
+/**
+ * Stand-in remote server on loopback - reaching it needs
+ * allowPrivateAddresses, which is exactly what the block tests leave off
+ */
+function startServer() {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+
+    const hops = url.pathname.match(/^\/redirect\/(\d+)$/);
+    if (hops) {
+      const left = Number(hops[1]);
+      res.writeHead(302, {
+        Location: left > 0 ? `/redirect/${left - 1}` : "/files/photo.png",
+      });
+      return res.end();
+    }
+
+    switch (url.pathname) {
+      case "/files/photo.png":
+        res.writeHead(200, { "Content-Type": "Image/PNG; charset=binary" });
+        return res.end("not really a png");
+      case "/to-ftp":
+        res.writeHead(301, { Location: "ftp://example.com/photo.png" });
+        return res.end();
+      case "/declared-large":
+        res.writeHead(200, { "Content-Length": "4096" });
+        return res.end(Buffer.alloc(4096));
+      case "/streamed-large":
+        // No Content-Length, so only counting the bytes can catch it
+        res.writeHead(200, { "Content-Type": "image/png" });
+        for (let i = 0; i < 8; i++) res.write(Buffer.alloc(512));
+        return res.end();
+      case "/slow":
+        return; // never answers
+      default:
+        res.writeHead(404);
+        return res.end();
+    }
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve(server));
+  });
+}
+
+describe("fetchRemoteFile", () => {
+  let server;
+  let base;
+  const local = { maxSize: 1024, allowPrivateAddresses: true };
+
+  before(async () => {
+    server = await startServer();
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  it("downloads a file", async () => {
+    const file = await fetchRemoteFile(`${base}/files/photo.png`, local);
+
+    assert.equal(file.buffer.toString(), "not really a png");
+    assert.equal(file.size, 16);
+    assert.equal(file.mimetype, "image/png");
+    assert.equal(file.originalFilename, "photo.png");
+  });
+
+  it("follows redirects up to the limit", async () => {
+    const file = await fetchRemoteFile(`${base}/redirect/2`, {
+      ...local,
+      maxRedirects: 3,
+    });
+
+    assert.equal(file.finalUrl, `${base}/files/photo.png`);
+    assert.equal(file.originalFilename, "photo.png");
+  });
+
+  it("gives up after too many redirects", async () => {
+    await assert.rejects(
+      fetchRemoteFile(`${base}/redirect/5`, { ...local, maxRedirects: 3 }),
+      { message: "Too many redirects (limit 3)" },
+    );
+  });
+
+  it("checks every redirect hop", async () => {
+    await assert.rejects(fetchRemoteFile(`${base}/to-ftp`, local), {
+      message: "Only http and https URLs are allowed",
+    });
+  });
+
+  it("refuses a file whose declared size is over the cap", async () => {
+    await assert.rejects(fetchRemoteFile(`${base}/declared-large`, local), {
+      message: "File too large",
+    });
+  });
+
+  it("stops reading once a streamed file goes over the cap", async () => {
+    await assert.rejects(fetchRemoteFile(`${base}/streamed-large`, local), {
+      message: "File too large",
+    });
+  });
+
+  it("times out", async () => {
+    await assert.rejects(
+      fetchRemoteFile(`${base}/slow`, { ...local, timeoutMs: 100 }),
+      { message: "Remote fetch timed out after 100ms" },
+    );
+  });
+
+  it("reports error statuses", async () => {
+    await assert.rejects(fetchRemoteFile(`${base}/missing`, local), {
+      message: "Remote server responded with 404",
+    });
+  });
+
+  it("refuses private IP literals", async () => {
+    await assert.rejects(
+      fetchRemoteFile(`${base}/files/photo.png`, { maxSize: 1024 }),
+      { message: /^URL points to a blocked address/ },
+    );
+  });
+
+  it("refuses hostnames that resolve to private addresses", async () => {
+    const url = `http://localhost:${server.address().port}/files/photo.png`;
+
+    await assert.rejects(fetchRemoteFile(url, { maxSize: 1024 }), {
+      message: "URL resolves to a blocked address: localhost",
+    });
+  });
+
+  it("refuses IPv6 literals that wrap a private IPv4 address", async () => {
+    for (const host of [
+      "[::ffff:127.0.0.1]",
+      "[64:ff9b::7f00:1]",
+      "[::127.0.0.1]",
+    ]) {
+      await assert.rejects(
+        fetchRemoteFile(`http://${host}/photo.png`, { maxSize: 1024 }),
+        { message: /^URL points to a blocked address/ },
+        host,
+      );
+    }
+  });
+
+  it("refuses anything but http and https", async () => {
+    await assert.rejects(
+      fetchRemoteFile("file:///etc/passwd", { maxSize: 1024 }),
+      { message: "Only http and https URLs are allowed" },
+    );
+  });
+});
+
+describe("isBlockedAddress", () => {
+  it("blocks private, loopback and link-local addresses", () => {
+    for (const address of [
+      "127.0.0.1",
+      "10.1.2.3",
+      "172.16.0.1",
+      "192.168.1.1",
+      "169.254.169.254",
+      "100.64.0.1",
+      "0.0.0.0",
+      "::",
+      "::1",
+      "fd00::1",
+      "fe80::1",
+    ]) {
+      assert.equal(isBlockedAddress(address), true, address);
+    }
+  });
+
+  it("blocks IPv4 addresses wrapped in IPv6", () => {
+    for (const address of [
+      "::ffff:127.0.0.1",
+      "::ffff:7f00:1",
+      "::127.0.0.1",
+      "::8.8.8.8",
+      "64:ff9b::7f00:1",
+      "64:ff9b::169.254.169.254",
+      "64:ff9b::8.8.8.8",
+    ]) {
+      assert.equal(isBlockedAddress(address), true, address);
+    }
+  });
+
+  it("allows public addresses", () => {
+    for (const address of [
+      "8.8.8.8",
+      "1.1.1.1",
+      "::ffff:8.8.8.8",
+      "2606:4700:4700::1111",
+    ]) {
+      assert.equal(isBlockedAddress(address), false, address);
+    }
+  });
+
+  it("blocks anything that isn't an IP address", () => {
+    assert.equal(isBlockedAddress("localhost"), true);
+  });
+});
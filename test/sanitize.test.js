@@ -0,0 +1,115 @@
+// test/sanitize.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  SanitizeError,
+  getSanitizer,
+  sanitizeSvg,
+} from "../api/utils/sanitize.js";
+
+const SVG = 'xmlns="http://www.w3.org/2000/svg"';
+const XLINK = 'xmlns:xlink="http://www.w3.org/1999/xlink"';
+
+function sanitize(svg) {
+  const { buffer, removed } = sanitizeSvg(Buffer.from(svg));
+  return { svg: buffer.toString(), removed };
+}
+
+describe("sanitizeSvg", () => {
+  it("leaves a harmless SVG alone", () => {
+    const { svg, removed } = sanitize(
+      `<svg ${SVG} ${XLINK}><circle id="c" r="4" fill="url(#g)"/><use xlink:href="#c"/></svg>`,
+    );
+
+    assert.deepEqual(removed, []);
+    assert.match(svg, /<circle id="c" r="4" fill="url\(#g\)"\/>/);
+    assert.match(svg, /xlink:href="#c"/);
+  });
+
+  it("removes scripts and foreignObject", () => {
+    const { svg, removed } = sanitize(
+      `<svg ${SVG}><script>alert(1)</script><foreignObject><p>hi</p></foreignObject><rect/></svg>`,
+    );
+
+    assert.doesNotMatch(svg, /script|foreignObject|alert/);
+    assert.match(svg, /<rect\/>/);
+    assert.deepEqual(removed.sort(), ["<foreignObject>", "<script>"]);
+  });
+
+  it("removes event handlers", () => {
+    const { svg, removed } = sanitize(
+      `<svg ${SVG} onload="alert(1)"><rect onClick="alert(2)" width="1"/></svg>`,
+    );
+
+    assert.doesNotMatch(svg, /alert/);
+    assert.match(svg, /<rect width="1"\/>/);
+    assert.deepEqual(removed.sort(), ["onClick attribute", "onload attribute"]);
+  });
+
+  it("removes javascript: and external links", () => {
+    const { svg } = sanitize(
+      `<svg ${SVG} ${XLINK}><a href="javascript:alert(1)"/><image xlink:href="https://example.com/x.png"/><image href="data:image/png;base64,AAAA"/></svg>`,
+    );
+
+    assert.doesNotMatch(svg, /javascript|example\.com/);
+    assert.match(svg, /href="data:image\/png;base64,AAAA"/);
+  });
+
+  it("removes links whatever prefix XLink is bound to", () => {
+    const { svg, removed } = sanitize(
+      `<svg ${SVG} xmlns:x="http://www.w3.org/1999/xlink"><a x:href="javascript:alert(1)"/><image x:href="https://example.com/x.png"/></svg>`,
+    );
+
+    assert.doesNotMatch(svg, /javascript|example\.com/);
+    assert.deepEqual(removed.sort(), [
+      "external reference (x:href)",
+      "javascript: URL",
+    ]);
+    // The declaration itself stays
+    assert.match(svg, /xmlns:x="http:\/\/www.w3.org\/1999\/xlink"/);
+  });
+
+  it("removes animations that rewrite links", () => {
+    const { svg } = sanitize(
+      `<svg ${SVG} xmlns:x="http://www.w3.org/1999/xlink"><a><set attributeName="x:href" to="javascript:alert(1)"/></a></svg>`,
+    );
+
+    assert.doesNotMatch(svg, /<set/);
+  });
+
+  it("removes styles that load other documents", () => {
+    const { svg, removed } = sanitize(
+      `<svg ${SVG}><style>@import url(https://example.com/a.css);</style><rect style="fill: url(https://example.com/p)"/></svg>`,
+    );
+
+    assert.doesNotMatch(svg, /example\.com/);
+    assert.deepEqual(removed.sort(), [
+      "<style> with external references",
+      "external reference (style)",
+    ]);
+  });
+
+  it("removes doctypes and processing instructions", () => {
+    const { svg, removed } = sanitize(
+      `<?xml version="1.0"?><?xml-stylesheet href="https://example.com/a.css"?><!DOCTYPE svg><svg ${SVG}/>`,
+    );
+
+    assert.doesNotMatch(svg, /DOCTYPE|xml-stylesheet/);
+    assert.deepEqual(removed.sort(), ["<?xml-stylesheet?>", "doctype"]);
+  });
+
+  it("refuses anything that isn't a well-formed SVG", () => {
+    assert.throws(() => sanitize("<svg><rect></svg>"), SanitizeError);
+    assert.throws(() => sanitize(`<html ${SVG}/>`), {
+      name: "SanitizeError",
+      message: "SVG could not be parsed: root element isn't <svg>",
+    });
+  });
+});
+
+describe("getSanitizer", () => {
+  it("only sanitizes SVGs", () => {
+    assert.equal(getSanitizer("image/svg+xml"), sanitizeSvg);
+    assert.equal(getSanitizer("image/png"), null);
+  });
+});